@@ -1,144 +1,397 @@
+import 'react-native-gesture-handler';
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
-  Button,
   StyleSheet,
   Text,
   View,
   TouchableOpacity,
   Image,
   FlatList,
+  SectionList,
   TextInput,
   SafeAreaView,
   ScrollView,
   KeyboardAvoidingView,
+  ActivityIndicator,
+  Modal,
+  AppState,
   Platform,
   Dimensions,
   Alert,
   StatusBar,
   Linking,
+  PanResponder,
 } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as MediaLibrary from 'expo-media-library';
 import * as ImagePicker from 'expo-image-picker';
-import { NavigationContainer } from '@react-navigation/native';
+import * as Notifications from 'expo-notifications';
+import NetInfo from '@react-native-community/netinfo';
+import {
+  GestureHandlerRootView,
+  GestureDetector,
+  Gesture,
+  FlatList as GestureFlatList,
+} from 'react-native-gesture-handler';
+import Animated, {
+  useSharedValue,
+  useAnimatedStyle,
+  withTiming,
+  withSpring,
+  runOnJS,
+} from 'react-native-reanimated';
+import {
+  NestableScrollContainer,
+  NestableDraggableFlatList,
+  ScaleDecorator,
+} from 'react-native-draggable-flatlist';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { supabase } from './supabase-client';
+import {
+  newCarId,
+  insertCarListing,
+  updateCarListing,
+  deleteCarListing,
+  setCarStatus,
+  renewCarListing,
+} from './car-mutations';
+import {
+  STATUS_TRANSITIONS,
+  statusLabel,
+  statusActionLabel,
+  daysUntilExpiry,
+  canRenew,
+} from './listing-status';
+import { fetchPriceHistory, priceDropText } from './price-history';
+import {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  reportReasonLabel,
+  reportListing,
+  fetchReports,
+  countOpenReports,
+  resolveReport,
+} from './listing-reports';
+import {
+  USER_FILTERS,
+  CAR_FILTERS,
+  fetchAdminUsers,
+  fetchAdminCars,
+  setUserAdmin,
+  setUserSuspended,
+  deleteUserAccount,
+  deleteCars,
+  setCarsHidden,
+} from './admin';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_PERIODS,
+  auditActionLabel,
+  auditTargetLabel,
+  fetchAuditLog,
+} from './audit-log';
+import { fetchUnreadNotices, markNoticeRead, subscribeToNotices } from './notices';
+import {
+  enqueueMutation,
+  readUserQueue,
+  applyPendingMutations,
+  replayQueue,
+  isNetworkError,
+} from './offline-queue';
+import {
+  isValidRegnr,
+  formatRegnr,
+  lookupVehicle,
+} from './vehicle-lookup';
+import {
+  LISTING_SECTIONS,
+  LISTING_FIELDS,
+  fieldLabel,
+  emptyListingForm,
+  listingFormValues,
+  listingFormFromCar,
+  validateListing,
+  listingDataFromForm,
+  listingSpecs,
+  MAX_PHOTOS,
+} from './listing-schema';
+import {
+  CROP_ASPECTS,
+  loadPhoto,
+  rotatePhoto,
+  cropRect,
+  cropPhoto,
+} from './photo-edit';
+import { SHOT_LIST, shotLabel, nextShotIndex } from './shot-list';
+import {
+  fetchCarPage,
+  fetchCarBrands,
+  appendPage,
+  fetchCarById,
+  fetchPublicCar,
+  fetchUnpublishedCars,
+  subscribeToCars,
+  mergeCarChange,
+} from './car-query';
+import {
+  listDrafts,
+  saveDraft,
+  deleteDraft,
+  newDraftId,
+  isDraftEmpty,
+  draftTitle,
+} from './listing-drafts';
+import { linking, carAppUrl } from './links';
+import { shareCar } from './share-listing';
+import {
+  EMPTY_FILTERS,
+  describeFilters,
+  removeFilter,
+  countActiveFilters,
+  CHOICE_FILTERS,
+} from './car-filters';
+import {
+  checkSavedSearches,
+  createSavedSearch,
+  deleteSavedSearch,
+  markSavedSearchSeen,
+  requestNotificationPermission,
+  registerSavedSearchTask,
+  unregisterSavedSearchTask,
+} from './saved-searches';
+import {
+  fetchFavoriteCarIds,
+  fetchFavorites,
+  addFavorite,
+  removeFavorite,
+  removeFavoriteById,
+} from './favorites';
+import {
+  startConversation,
+  fetchConversations,
+  fetchUnreadMessageCount,
+  fetchMessages,
+  sendMessage,
+  markConversationRead,
+  subscribeToMessages,
+  messageFromRow,
+} from './messaging';
 
+// Last fetched default feed ({ userId, cars, total }), shown while offline
 const STORAGE_KEY = '@billager_cars';
 const { width, height } = Dimensions.get('window');
 const Stack = createStackNavigator();
+const navigationRef = createNavigationContainerRef();
+const SEARCH_DEBOUNCE_MS = 300;
+const DRAFT_AUTOSAVE_MS = 800;
+
+// Asks what to do with an offline change whose car changed on the server
+// in the meantime. Resolves to 'overwrite' or 'discard'.
+function confirmOfflineConflict(entry, reason) {
+  const title = `${entry.car.brand} ${entry.car.model}`;
+  return new Promise((resolve) => {
+    if (reason === 'deleted') {
+      Alert.alert(
+        'Listing Removed',
+        `${title} was deleted before your offline changes could be saved, so they were discarded.`,
+        [{ text: 'OK', onPress: () => resolve('discard') }],
+        { cancelable: false }
+      );
+      return;
+    }
+    Alert.alert(
+      'Listing Changed',
+      `${title} was changed on the server after you ${entry.type === 'delete' ? 'deleted' : 'edited'} it offline.`,
+      [
+        { text: 'Discard mine', style: 'cancel', onPress: () => resolve('discard') },
+        {
+          text: entry.type === 'delete' ? 'Delete anyway' : 'Keep mine',
+          style: 'destructive',
+          onPress: () => resolve('overwrite'),
+        },
+      ],
+      { cancelable: false }
+    );
+  });
+}
+
+// A queued change the server refused for a reason other than a conflict
+function confirmOfflineFailure(entry, error) {
+  const car = entry.type === 'add' ? entry.data : entry.car;
+  const action = { add: 'adding', update: 'editing', delete: 'deleting' }[entry.type];
+  return new Promise((resolve) => {
+    Alert.alert(
+      'Offline Change Not Saved',
+      `Your offline change ${action} ${car.brand} ${car.model} could not be saved: ${error.message}`,
+      [
+        { text: 'Discard', style: 'destructive', onPress: () => resolve('discard') },
+        { text: 'Try Again Later', onPress: () => resolve('keep') },
+      ],
+      { cancelable: false }
+    );
+  });
+}
 
 export default function App() {
-  const [screen, setScreen] = useState('home');
   const [cars, setCars] = useState([]);
-  const [selectedCar, setSelectedCar] = useState(null);
+  const [totalCars, setTotalCars] = useState(0);
+  const [hasMoreCars, setHasMoreCars] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [favoriteIds, setFavoriteIds] = useState(new Set());
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  // Unread messages from the moderators (see notices.js)
+  const [notices, setNotices] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
   const [sortBy, setSortBy] = useState('date');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [showSavedSearches, setShowSavedSearches] = useState(false);
+  const [showSaveSearch, setShowSaveSearch] = useState(false);
   const [user, setUser] = useState(null);
+  // undefined until the stored session has been read from AsyncStorage
+  const [session, setSession] = useState(undefined);
   const [loading, setLoading] = useState(true);
+  const [isOffline, setIsOffline] = useState(false);
+  // Car changes made offline, waiting to be replayed (see offline-queue.js)
+  const [pendingMutations, setPendingMutations] = useState([]);
+  const pageRef = useRef(0);
+  // Set once the feed has loaded from the server, so the cache never replaces it
+  const feedLoadedRef = useRef(false);
+  const replayingRef = useRef(false);
+  // Latest values for the Realtime handler, which subscribes once per user
+  const carsRef = useRef(cars);
+  carsRef.current = cars;
+  const feedQueryRef = useRef({});
+  feedQueryRef.current = {
+    searchQuery: debouncedSearchQuery,
+    sortBy,
+    filters,
+    hasMore: hasMoreCars,
+  };
+  // Bumped on every fresh load so late responses for an old query are dropped
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearchQuery(searchQuery), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchQuery]);
 
   const loadCars = useCallback(async () => {
     if (!user) return;
     
+    const requestId = ++requestRef.current;
     try {
-      const { data, error } = await supabase
-        .from('cars')
-        .select('*')
-        .order('created_at', { ascending: false });
-      
-      if (error) {
-        console.error('Error loading cars:', error);
-        Alert.alert('Error', 'Could not load cars: ' + error.message);
-      } else {
-        setCars(data || []);
+      const page = await fetchCarPage({
+        searchQuery: debouncedSearchQuery,
+        sortBy,
+        filters,
+        page: 0,
+      });
+      if (requestId !== requestRef.current) return;
+
+      pageRef.current = 0;
+      feedLoadedRef.current = true;
+      setCars(page.cars);
+      setTotalCars(page.total);
+      setHasMoreCars(page.hasMore);
+
+      const isDefaultFeed = !debouncedSearchQuery.trim()
+        && sortBy === 'date'
+        && countActiveFilters(filters) === 0;
+      if (isDefaultFeed) {
+        AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({
+          userId: user.id,
+          cars: page.cars,
+          total: page.total,
+        })).catch((cacheError) => console.error('Error caching cars:', cacheError));
       }
     } catch (error) {
       console.error('Error loading cars:', error);
-      Alert.alert('Error', 'Could not load cars');
+      // Offline the cached feed stays on screen and the banner explains why
+      if (!isNetworkError(error)) {
+        Alert.alert('Error', 'Could not load cars: ' + error.message);
+      }
     }
-  }, [user]);
+  }, [user, debouncedSearchQuery, sortBy, filters]);
 
-  useEffect(() => {
-    const loadUser = async () => {
-      try {
-        const storedUser = await AsyncStorage.getItem('@user');
-        if (storedUser) {
-          setUser(JSON.parse(storedUser));
-        }
-      } catch (error) {
-        console.error('Error loading user:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-    loadUser();
-  }, []);
+  const loadMoreCars = useCallback(async () => {
+    if (!user || !hasMoreCars || loadingMore) return;
 
-  useEffect(() => {
-    if (user) {
-      loadCars();
+    const requestId = requestRef.current;
+    const nextPage = pageRef.current + 1;
+    setLoadingMore(true);
+    try {
+      const page = await fetchCarPage({
+        searchQuery: debouncedSearchQuery,
+        sortBy,
+        filters,
+        page: nextPage,
+      });
+      if (requestId !== requestRef.current) return;
+
+      pageRef.current = nextPage;
+      setCars((prev) => appendPage(prev, page.cars));
+      setTotalCars(page.total);
+      setHasMoreCars(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more cars:', error);
+    } finally {
+      setLoadingMore(false);
     }
-  }, [user, loadCars]);
+  }, [user, hasMoreCars, loadingMore, debouncedSearchQuery, sortBy, filters]);
 
+  const refreshSavedSearches = useCallback(async () => {
+    if (!user) return;
+    try {
+      setSavedSearches(await checkSavedSearches());
+    } catch (error) {
+      console.error('Error loading saved searches:', error);
+    }
+  }, [user]);
 
+  const refreshCars = useCallback(async () => {
+    setRefreshing(true);
+    try {
+      await Promise.all([loadCars(), refreshSavedSearches()]);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [loadCars, refreshSavedSearches]);
 
-  const addCar = useCallback(async (carData) => {
+  const saveCurrentSearch = useCallback(async (name) => {
     try {
-      const { data, error } = await supabase
-        .from('cars')
-        .insert([{
-          user_id: user.id,
-          brand: carData.brand,
-          model: carData.model,
-          year: carData.year,
-          km: carData.km,
-          price: carData.price,
-          images: carData.images || [],
-        }])
-        .select();
-      
-      if (error) {
-        Alert.alert('Error', 'Could not save car: ' + error.message);
-      } else {
-        await loadCars();
-        setScreen('home');
-      }
+      const saved = await createSavedSearch(user.id, { name, searchQuery, sortBy, filters });
+      setSavedSearches(prev => [...prev, saved]);
+      setShowSaveSearch(false);
+      await requestNotificationPermission();
     } catch (error) {
-      Alert.alert('Error', 'Could not save car');
+      Alert.alert('Error', 'Could not save search: ' + error.message);
     }
-  }, [user, loadCars]);
+  }, [user, searchQuery, sortBy, filters]);
 
-  const updateCar = useCallback(async (carId, carData) => {
+  const applySavedSearch = useCallback(async (search) => {
+    setSearchQuery(search.searchQuery);
+    setDebouncedSearchQuery(search.searchQuery);
+    setSortBy(search.sortBy);
+    setFilters(search.filters);
+    setShowSavedSearches(false);
+    if (navigationRef.isReady()) navigationRef.navigate('Home');
+    setSavedSearches(prev => prev.map((s) => (s.id === search.id ? { ...s, unseenCount: 0 } : s)));
     try {
-      const { error } = await supabase
-        .from('cars')
-        .update({
-          brand: carData.brand,
-          model: carData.model,
-          year: carData.year,
-          km: carData.km,
-          price: carData.price,
-          images: carData.images || [],
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', carId);
-      
-      if (error) {
-        Alert.alert('Error', 'Could not update car: ' + error.message);
-      } else {
-        await loadCars();
-        setScreen('home');
-      }
+      await markSavedSearchSeen(search.id);
     } catch (error) {
-      Alert.alert('Error', 'Could not update car');
+      console.error('Error updating saved search:', error);
     }
-  }, [loadCars]);
+  }, []);
 
-  const deleteCar = useCallback(async (carId) => {
+  const removeSavedSearch = useCallback((search) => {
     Alert.alert(
-      'Delete Car',
-      'Are you sure you want to delete this car?',
+      'Delete Saved Search',
+      `Delete "${search.name}"?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -146,348 +399,964 @@ export default function App() {
           style: 'destructive',
           onPress: async () => {
             try {
-              const { error } = await supabase
-                .from('cars')
-                .delete()
-                .eq('id', carId);
-              
-              if (error) {
-                Alert.alert('Error', 'Could not delete car: ' + error.message);
-              } else {
-                await loadCars();
-                setScreen('home');
-                setSelectedCar(null);
-              }
+              await deleteSavedSearch(search.id);
+              setSavedSearches(prev => prev.filter((s) => s.id !== search.id));
             } catch (error) {
-              Alert.alert('Error', 'Could not delete car');
+              Alert.alert('Error', 'Could not delete saved search');
             }
           },
         },
       ]
     );
-  }, [loadCars]);
+  }, []);
 
-  const filteredAndSortedCars = useMemo(() => {
-    let filtered = cars.filter((car) => {
-      const query = searchQuery.toLowerCase();
-      return (
-        car.brand.toLowerCase().includes(query) ||
-        car.model.toLowerCase().includes(query) ||
-        car.year.toString().includes(query)
-      );
-    });
+  useEffect(() => {
+    // Older builds kept the whole users row, password included, under '@user'.
+    AsyncStorage.removeItem('@user').catch(() => {});
 
-    return filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'price':
-          return parseInt(b.price || 0) - parseInt(a.price || 0);
-        case 'km':
-          return parseInt(a.km || 0) - parseInt(b.km || 0);
-        case 'date':
-        default:
-          return new Date(b.createdAt) - new Date(a.createdAt);
-      }
+    supabase.auth.getSession()
+      .then(({ data }) => setSession(data.session))
+      .catch((error) => {
+        console.error('Error loading session:', error);
+        setSession(null);
+      });
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
     });
-  }, [cars, searchQuery, sortBy]);
 
-  const handleCarPress = useCallback((car) => {
-    setSelectedCar(car);
-    setScreen('details');
+    return () => subscription.unsubscribe();
   }, []);
 
-  const AuthScreen = () => {
-    const [isLogin, setIsLogin] = useState(true);
-    const [email, setEmail] = useState('');
-    const [password, setPassword] = useState('');
-    const [username, setUsername] = useState('');
-    const [phone, setPhone] = useState('');
-    const [authLoading, setAuthLoading] = useState(false);
-
-    const handleSignUp = async () => {
-      if (!email || !password || !username || !phone) {
-        Alert.alert('Error', 'Please fill all fields');
-        return;
-      }
-      if (password.length < 6) {
-        Alert.alert('Error', 'Password must be at least 6 characters');
-        return;
-      }
-      
-      setAuthLoading(true);
-      try {
-        // Check if email already exists
-        const { data: existingUsers } = await supabase
-          .from('users')
-          .select('id')
-          .eq('email', email.trim());
-        
-        if (existingUsers && existingUsers.length > 0) {
-          Alert.alert('Error', 'Email already registered. Please sign in.');
-          setIsLogin(true);
-          setAuthLoading(false);
-          return;
-        }
+  const sessionReady = session !== undefined;
+  const authUserId = session?.user?.id;
 
-        // Insert new user
-        const { data, error } = await supabase
-          .from('users')
-          .insert([{
-            username: username.trim(),
-            email: email.trim(),
-            password: password,
-            phone: parseInt(phone),
-          }])
-          .select();
-        
-        if (error) {
-          Alert.alert('Sign Up Error', error.message);
-        } else if (data && data.length > 0) {
-          Alert.alert('Success', 'Account created! You can now sign in.');
-          setIsLogin(true);
-          setUsername('');
-          setPhone('');
-        }
-      } catch (error) {
-        Alert.alert('Error', error.message);
-      } finally {
-        setAuthLoading(false);
-      }
-    };
+  useEffect(() => {
+    if (!sessionReady) return;
+    if (!authUserId) {
+      setUser(null);
+      setCars([]);
+      feedLoadedRef.current = false;
+      setLoading(false);
+      return;
+    }
 
-    const handleSignIn = async () => {
-      if (!email || !password) {
-        Alert.alert('Error', 'Please enter email and password');
-        return;
-      }
-      
-      setAuthLoading(true);
+    let cancelled = false;
+    const loadProfile = async () => {
       try {
         const { data, error } = await supabase
           .from('users')
           .select('*')
-          .eq('email', email.trim())
-          .eq('password', password)
-          .single();
-        
+          .eq('id', authUserId)
+          .maybeSingle();
+
+        if (cancelled) return;
         if (error || !data) {
-          Alert.alert('Login Error', 'Invalid email or password');
+          console.error('Error loading profile:', error);
+          Alert.alert('Error', 'Could not load your profile. Please sign in again.');
+          await supabase.auth.signOut();
+        } else if (data.suspended_at) {
+          // A session from before the suspension; new sign-ins are refused by Auth
+          Alert.alert(
+            'Account suspended',
+            data.suspension_reason
+              ? `Your account has been suspended: ${data.suspension_reason}`
+              : 'Your account has been suspended.'
+          );
+          await supabase.auth.signOut();
         } else {
-          // Save user to AsyncStorage
-          await AsyncStorage.setItem('@user', JSON.stringify(data));
           setUser(data);
         }
       } catch (error) {
-        Alert.alert('Error', 'Login failed');
+        console.error('Error loading profile:', error);
       } finally {
-        setAuthLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
+    loadProfile();
 
-    return (
-      <SafeAreaView style={styles.container}>
-        <KeyboardAvoidingView 
-          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-          style={styles.authContainer}
-        >
-          <View style={styles.authContent}>
-            <Text style={styles.authTitle}>Billager</Text>
-            <Text style={styles.authSubtitle}>
-              {isLogin ? 'Sign in to your account' : 'Create a new account'}
-            </Text>
-            
-            {!isLogin && (
-              <>
-                <TextInput
-                  style={styles.authInput}
-                  placeholder="Username"
-                  value={username}
-                  onChangeText={setUsername}
-                  autoCapitalize="words"
-                  placeholderTextColor="#999"
-                />
-                <TextInput
-                  style={styles.authInput}
-                  placeholder="Phone"
-                  value={phone}
-                  onChangeText={setPhone}
-                  keyboardType="numeric"
-                  placeholderTextColor="#999"
-                />
-              </>
-            )}
-            
-            <TextInput
-              style={styles.authInput}
-              placeholder="Email"
-              value={email}
-              onChangeText={setEmail}
-              autoCapitalize="none"
-              keyboardType="email-address"
-              placeholderTextColor="#999"
-            />
-            <TextInput
-              style={styles.authInput}
-              placeholder="Password"
-              secureTextEntry
-              value={password}
-              onChangeText={setPassword}
-              placeholderTextColor="#999"
-            />
-            
-            <TouchableOpacity 
-              style={[styles.authButton, authLoading && styles.authButtonDisabled]}
-              onPress={isLogin ? handleSignIn : handleSignUp}
-              disabled={authLoading}
-            >
-              <Text style={styles.authButtonText}>
-                {authLoading ? 'Loading...' : (isLogin ? 'Sign In' : 'Sign Up')}
-              </Text>
-            </TouchableOpacity>
-            
-            <TouchableOpacity 
-              style={styles.authSwitchButton}
-              onPress={() => setIsLogin(!isLogin)}
-            >
-              <Text style={styles.authSwitchText}>
-                {isLogin ? "Don't have an account? Sign Up" : 'Already have an account? Sign In'}
-              </Text>
-            </TouchableOpacity>
-          </View>
-        </KeyboardAvoidingView>
-      </SafeAreaView>
-    );
-  };
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionReady, authUserId]);
 
-  const handleSignOut = async () => {
+  // Show the cached feed straight away; loadCars replaces it when it returns
+  useEffect(() => {
+    if (!user) return;
+    AsyncStorage.getItem(STORAGE_KEY)
+      .then((stored) => {
+        const cached = stored ? JSON.parse(stored) : null;
+        if (!cached || cached.userId !== user.id || feedLoadedRef.current) return;
+        setCars(cached.cars);
+        setTotalCars(cached.total);
+        setHasMoreCars(false);
+      })
+      .catch((error) => console.error('Error reading cached cars:', error));
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      loadCars();
+    }
+  }, [user, loadCars]);
+
+  // Other users' new, edited and removed listings show up without a reload
+  useEffect(() => {
+    if (!user) return;
+    return subscribeToCars((change) => {
+      const merged = mergeCarChange(carsRef.current, change, feedQueryRef.current);
+      carsRef.current = merged.cars;
+      setCars(merged.cars);
+      if (merged.totalDelta !== 0) {
+        setTotalCars((total) => Math.max(0, total + merged.totalDelta));
+      }
+    });
+  }, [user]);
+
+  useEffect(() => {
+    const unsubscribe = NetInfo.addEventListener((state) => {
+      setIsOffline(state.isConnected === false || state.isInternetReachable === false);
+    });
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      setPendingMutations([]);
+      return;
+    }
+    readUserQueue(user.id).then(setPendingMutations);
+  }, [user]);
+
+  // Unread badge on the home screen, kept live through Realtime
+  useEffect(() => {
+    if (!user) {
+      setUnreadMessages(0);
+      return;
+    }
+    const refreshUnread = () => {
+      fetchUnreadMessageCount(user.id)
+        .then(setUnreadMessages)
+        .catch((error) => console.error('Error loading unread messages:', error));
+    };
+    refreshUnread();
+    return subscribeToMessages(refreshUnread);
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) {
+      setNotices([]);
+      return;
+    }
+    const refreshNotices = () => {
+      fetchUnreadNotices()
+        .then(setNotices)
+        .catch((error) => console.error('Error loading notices:', error));
+    };
+    refreshNotices();
+    return subscribeToNotices(user.id, refreshNotices);
+  }, [user]);
+
+  const dismissNotice = useCallback(async (notice) => {
+    setNotices((prev) => prev.filter((n) => n.id !== notice.id));
     try {
-      await AsyncStorage.removeItem('@user');
-      setUser(null);
-      setCars([]);
+      await markNoticeRead(notice.id);
     } catch (error) {
-      Alert.alert('Error', 'Could not sign out');
+      console.error('Error dismissing notice:', error);
     }
-  };
+  }, []);
 
-  if (loading) {
-    return (
-      <View style={[styles.container, { justifyContent: 'center', alignItems: 'center' }]}>
-        <Text style={styles.loadingText}>Loading...</Text>
-      </View>
-    );
-  }
+  useEffect(() => {
+    if (!user) {
+      setFavoriteIds(new Set());
+      return;
+    }
+    fetchFavoriteCarIds()
+      .then(setFavoriteIds)
+      .catch((error) => console.error('Error loading favorites:', error));
+  }, [user]);
 
-  if (!user) {
-    return <AuthScreen />;
-  }
+  useEffect(() => {
+    if (!user) return;
+    refreshSavedSearches();
+    registerSavedSearchTask().catch((error) => {
+      console.error('Error registering background task:', error);
+    });
+  }, [user, refreshSavedSearches]);
 
-  if (screen === 'add') {
-    return <AddCarScreen onBack={() => setScreen('home')} onSave={addCar} />;
-  }
+  // Coming back to the foreground refreshes the feed and saved search counts
+  useEffect(() => {
+    if (!user) return;
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        loadCars();
+        refreshSavedSearches();
+      }
+    });
+    return () => subscription.remove();
+  }, [user, loadCars, refreshSavedSearches]);
 
-  if (screen === 'edit' && selectedCar) {
-    return (
-      <EditCarScreen
-        car={selectedCar}
-        onBack={() => setScreen('details')}
-        onSave={(data) => updateCar(selectedCar.id, data)}
-      />
-    );
-  }
+  // Tapping a new-match notification opens that saved search
+  useEffect(() => {
+    const subscription = Notifications.addNotificationResponseReceivedListener((response) => {
+      const { savedSearchId } = response.notification.request.content.data || {};
+      const search = savedSearches.find((s) => s.id === savedSearchId);
+      if (search) applySavedSearch(search);
+    });
+    return () => subscription.remove();
+  }, [savedSearches, applySavedSearch]);
 
-  if (screen === 'details' && selectedCar) {
-    return (
-      <CarDetailsScreen
-        car={selectedCar}
-        user={user}
-        onBack={() => {
-          setScreen('home');
-          setSelectedCar(null);
-        }}
-        onEdit={() => setScreen('edit')}
-        onDelete={() => deleteCar(selectedCar.id)}
-      />
-    );
-  }
 
-  if (screen === 'admin' && user?.is_admin) {
-    return <AdminPanel user={user} onBack={() => setScreen('home')} />;
-  }
 
-  return (
-    <SafeAreaView style={styles.container}>
-      <StatusBar barStyle="dark-content" />
-      <Header cars={filteredAndSortedCars} />
-      <SearchAndSort 
-        searchQuery={searchQuery}
-        setSearchQuery={setSearchQuery}
-        sortBy={sortBy}
-        setSortBy={setSortBy}
-      />
-      <CarList 
-        cars={filteredAndSortedCars}
-        onCarPress={handleCarPress}
-        onAddCar={() => setScreen('add')}
-      />
-      <View style={styles.bottomButtons}>
-        {user?.is_admin && (
-          <TouchableOpacity 
-            style={styles.adminButton}
-            onPress={() => setScreen('admin')}
-          >
-            <Text style={styles.adminButtonText}>🔒 Admin Panel</Text>
-          </TouchableOpacity>
-        )}
-        <TouchableOpacity 
-          style={styles.signOutButton}
-          onPress={handleSignOut}
-        >
-          <Text style={styles.signOutButtonText}>Sign Out</Text>
-        </TouchableOpacity>
-      </View>
-    </SafeAreaView>
-  );
-}
+  // Runs a car change against the server, or queues it when there is no
+  // connection. Changes to cars that are still waiting to sync always queue
+  // so they replay in order.
+  const saveCarChange = useCallback(async (mutation, run) => {
+    if (!isOffline && !mutation.car?.pending) {
+      try {
+        await run();
+        await loadCars();
+        return;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+    await enqueueMutation({ ...mutation, userId: user.id });
+    setPendingMutations(await readUserQueue(user.id));
+  }, [user, isOffline, loadCars]);
 
-const CarCard = React.memo(({ car, onPress }) => {
-  return (
-    <TouchableOpacity style={styles.carCard} onPress={onPress}>
-      {car.images && car.images.length > 0 ? (
-        <Image source={{ uri: car.images[0] }} style={styles.carImage} />
-      ) : (
-        <View style={styles.noImage}>
-          <Text style={styles.noImageText}>No image</Text>
-        </View>
-      )}
-      <View style={styles.carInfo}>
-        <Text style={styles.carTitle}>{car.brand} {car.model}</Text>
+  // loadCars changes with every search and filter; replaying must not
+  const loadCarsRef = useRef(loadCars);
+  useEffect(() => {
+    loadCarsRef.current = loadCars;
+  }, [loadCars]);
+
+  // Failures the user chose to keep are not retried, or asked about again,
+  // until the next reconnect
+  const keptMutationIdsRef = useRef(new Set());
+
+  const syncPendingMutations = useCallback(async () => {
+    if (!user || replayingRef.current) return;
+    replayingRef.current = true;
+    try {
+      const result = await replayQueue(user.id, {
+        onConflict: confirmOfflineConflict,
+        onFailure: async (entry, error) => {
+          const choice = await confirmOfflineFailure(entry, error);
+          if (choice === 'keep') keptMutationIdsRef.current.add(entry.id);
+          return choice;
+        },
+        skip: keptMutationIdsRef.current,
+      });
+      setPendingMutations(await readUserQueue(user.id));
+      if (result.applied > 0 || result.conflicts > 0) {
+        await loadCarsRef.current();
+      }
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+    } finally {
+      replayingRef.current = false;
+    }
+  }, [user]);
+
+  // Replay whenever changes are queued while online
+  const queuedCountRef = useRef(0);
+  useEffect(() => {
+    const queued = pendingMutations.length;
+    const grew = queued > queuedCountRef.current;
+    queuedCountRef.current = queued;
+    if (user && !isOffline && grew) syncPendingMutations();
+  }, [user, isOffline, pendingMutations.length, syncPendingMutations]);
+
+  // Reload the feed and replay the queue when the connection comes back
+  const wasOfflineRef = useRef(false);
+  useEffect(() => {
+    if (wasOfflineRef.current && !isOffline && user) {
+      keptMutationIdsRef.current = new Set();
+      loadCars();
+      syncPendingMutations();
+    }
+    wasOfflineRef.current = isOffline;
+  }, [isOffline, user, loadCars, syncPendingMutations]);
+
+  const visibleCars = useMemo(
+    () => applyPendingMutations(cars, pendingMutations),
+    [cars, pendingMutations]
+  );
+
+  // Resolves to true once the car is saved (or queued), so the add form
+  // knows it can drop its draft
+  const addCar = useCallback(async (carData) => {
+    try {
+      const carId = newCarId();
+      await saveCarChange(
+        { type: 'add', carId, data: carData },
+        () => insertCarListing(user.id, carData, carId)
+      );
+      navigationRef.navigate('Home');
+      return true;
+    } catch (error) {
+      Alert.alert('Error', 'Could not save car: ' + error.message);
+      return false;
+    }
+  }, [user, saveCarChange]);
+
+  // Uploads a draft as a listing only the seller can see. Not queued
+  // offline: the draft is already safe on the device until then.
+  const saveUnpublishedCar = useCallback(async (carData) => {
+    if (isOffline) {
+      Alert.alert('Offline', 'Connect to the internet to upload this draft. It stays saved on this device.');
+      return false;
+    }
+    try {
+      const car = await insertCarListing(user.id, { ...carData, status: 'draft' });
+      navigationRef.navigate('CarDetails', { id: car.id });
+      return true;
+    } catch (error) {
+      Alert.alert('Error', 'Could not upload draft: ' + error.message);
+      return false;
+    }
+  }, [user, isOffline]);
+
+  // Both resolve to the updated car, or null when the change failed
+  const changeCarStatus = useCallback(async (car, status) => {
+    try {
+      const updated = await setCarStatus(car, status);
+      await loadCars();
+      if (car.status === 'draft') Alert.alert('Published', 'Your car is now listed.');
+      return updated;
+    } catch (error) {
+      Alert.alert('Error', 'Could not change the listing status: ' + error.message);
+      return null;
+    }
+  }, [loadCars]);
+
+  const renewCar = useCallback(async (car) => {
+    try {
+      const renewed = await renewCarListing(car);
+      await loadCars();
+      return renewed;
+    } catch (error) {
+      Alert.alert('Error', 'Could not renew listing: ' + error.message);
+      return null;
+    }
+  }, [loadCars]);
+
+  const reportCar = useCallback(async (car, report) => {
+    try {
+      await reportListing(car, user.id, report);
+      Alert.alert('Thanks for reporting', "A moderator will look at this listing. We'll let you know the outcome.");
+      return true;
+    } catch (error) {
+      console.error('Error reporting car:', error);
+      Alert.alert('Error', 'Could not send report: ' + error.message);
+      return false;
+    }
+  }, [user]);
+
+  const updateCar = useCallback(async (car, carData) => {
+    try {
+      await saveCarChange(
+        { type: 'update', car, data: carData },
+        () => updateCarListing(user.id, car, carData)
+      );
+      navigationRef.navigate('Home');
+    } catch (error) {
+      Alert.alert('Error', 'Could not update car: ' + error.message);
+    }
+  }, [user, saveCarChange]);
+
+  const deleteCar = useCallback(async (car) => {
+    Alert.alert(
+      'Delete Car',
+      'Are you sure you want to delete this car?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await saveCarChange({ type: 'delete', car }, () => deleteCarListing(car));
+              navigationRef.navigate('Home');
+            } catch (error) {
+              Alert.alert('Error', 'Could not delete car: ' + error.message);
+            }
+          },
+        },
+      ]
+    );
+  }, [saveCarChange]);
+
+  const handleCarPress = useCallback((car) => {
+    navigationRef.navigate('CarDetails', { id: car.id });
+  }, []);
+
+  const messageSeller = useCallback(async (car) => {
+    try {
+      const conversation = await startConversation(car, user.id);
+      navigationRef.navigate('Chat', { conversation });
+    } catch (error) {
+      Alert.alert('Error', 'Could not start conversation: ' + error.message);
+    }
+  }, [user]);
+
+  const toggleFavorite = useCallback(async (car) => {
+    const wasFavorite = favoriteIds.has(car.id);
+    const update = (add) => setFavoriteIds(prev => {
+      const next = new Set(prev);
+      if (add) next.add(car.id); else next.delete(car.id);
+      return next;
+    });
+
+    update(!wasFavorite);
+    try {
+      if (wasFavorite) {
+        await removeFavorite(car.id);
+      } else {
+        await addFavorite(user.id, car.id);
+      }
+    } catch (error) {
+      update(wasFavorite);
+      Alert.alert('Error', 'Could not update saved cars: ' + error.message);
+    }
+  }, [user, favoriteIds]);
+
+  const handleSignOut = async () => {
+    try {
+      await unregisterSavedSearchTask().catch(() => {});
+      await AsyncStorage.removeItem(STORAGE_KEY).catch(() => {});
+      const { error } = await supabase.auth.signOut();
+      if (error) throw error;
+    } catch (error) {
+      Alert.alert('Error', 'Could not sign out');
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.container, { justifyContent: 'center', alignItems: 'center' }]}>
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      <NavigationContainer ref={navigationRef} linking={linking}>
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+          {!user ? (
+            <>
+              <Stack.Screen name="Auth" component={AuthScreen} />
+              {/* Shared links land here for visitors who are not signed in */}
+              <Stack.Screen name="CarDetails">
+                {({ navigation, route }) => (
+                  <CarDetailsScreen
+                    carId={route.params.id}
+                    user={null}
+                    onBack={() => navigation.navigate('Auth')}
+                  />
+                )}
+              </Stack.Screen>
+            </>
+          ) : (
+            <>
+              <Stack.Screen name="Home">
+                {({ navigation }) => (
+                  <SafeAreaView style={styles.container}>
+                    <StatusBar barStyle="dark-content" />
+                    <Header
+                      total={totalCars}
+                      unreadMessages={unreadMessages}
+                      onOpenMessages={() => navigation.navigate('Inbox')}
+                    />
+                    <OfflineBanner isOffline={isOffline} pendingCount={pendingMutations.length} />
+                    <NoticeBanner notices={notices} onDismiss={dismissNotice} />
+                    <SearchAndSort 
+                      searchQuery={searchQuery}
+                      setSearchQuery={setSearchQuery}
+                      sortBy={sortBy}
+                      setSortBy={setSortBy}
+                      filters={filters}
+                      onOpenFilters={() => setShowFilters(true)}
+                      onRemoveFilter={(id) => setFilters((prev) => removeFilter(prev, id))}
+                      onClearFilters={() => setFilters(EMPTY_FILTERS)}
+                      onTogglePriceReduced={() => setFilters((prev) => ({ ...prev, priceReduced: !prev.priceReduced }))}
+                      savedSearches={savedSearches}
+                      onSaveSearch={() => setShowSaveSearch(true)}
+                      onOpenSavedSearches={() => setShowSavedSearches(true)}
+                    />
+                    <SaveSearchDialog
+                      visible={showSaveSearch}
+                      onSave={saveCurrentSearch}
+                      onClose={() => setShowSaveSearch(false)}
+                    />
+                    <SavedSearchesSheet
+                      visible={showSavedSearches}
+                      searches={savedSearches}
+                      onSelect={applySavedSearch}
+                      onDelete={removeSavedSearch}
+                      onClose={() => setShowSavedSearches(false)}
+                    />
+                    <FilterSheet
+                      visible={showFilters}
+                      filters={filters}
+                      onApply={(newFilters) => {
+                        setFilters(newFilters);
+                        setShowFilters(false);
+                      }}
+                      onClose={() => setShowFilters(false)}
+                    />
+                    <CarList 
+                      cars={visibleCars}
+                      favoriteIds={favoriteIds}
+                      onToggleFavorite={toggleFavorite}
+                      onCarPress={handleCarPress}
+                      onAddCar={() => navigation.navigate('AddCar')}
+                      onEndReached={loadMoreCars}
+                      onRefresh={refreshCars}
+                      refreshing={refreshing}
+                      loadingMore={loadingMore}
+                    />
+                    <View style={styles.bottomButtons}>
+                      <TouchableOpacity 
+                        style={styles.savedCarsButton}
+                        onPress={() => navigation.navigate('SavedCars')}
+                      >
+                        <Text style={styles.savedCarsButtonText}>♥ Saved cars</Text>
+                      </TouchableOpacity>
+                      {user?.is_admin && (
+                        <TouchableOpacity 
+                          style={styles.adminButton}
+                          onPress={() => navigation.navigate('Admin')}
+                        >
+                          <Text style={styles.adminButtonText}>🔒 Admin Panel</Text>
+                        </TouchableOpacity>
+                      )}
+                      <TouchableOpacity 
+                        style={styles.signOutButton}
+                        onPress={handleSignOut}
+                      >
+                        <Text style={styles.signOutButtonText}>Sign Out</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </SafeAreaView>
+                )}
+              </Stack.Screen>
+              <Stack.Screen name="AddCar">
+                {({ navigation }) => (
+                  <AddCarScreen
+                    user={user}
+                    onBack={() => navigation.goBack()}
+                    onSave={addCar}
+                    onSaveUnpublished={saveUnpublishedCar}
+                    onOpenCar={(car) => navigation.navigate('CarDetails', { id: car.id })}
+                  />
+                )}
+              </Stack.Screen>
+              <Stack.Screen name="EditCar">
+                {({ navigation, route }) => (
+                  <EditCarScreen
+                    car={route.params.car}
+                    onBack={() => navigation.goBack()}
+                    onSave={(data) => updateCar(route.params.car, data)}
+                  />
+                )}
+              </Stack.Screen>
+              <Stack.Screen name="CarDetails">
+                {({ navigation, route }) => (
+                  <CarDetailsScreen
+                    carId={route.params.id}
+                    initialCar={visibleCars.find((car) => String(car.id) === String(route.params.id))}
+                    user={user}
+                    favoriteIds={favoriteIds}
+                    onToggleFavorite={toggleFavorite}
+                    onMessageSeller={messageSeller}
+                    onBack={() => (navigation.canGoBack() ? navigation.goBack() : navigation.navigate('Home'))}
+                    onEdit={(car) => navigation.navigate('EditCar', { car })}
+                    onDelete={deleteCar}
+                    onChangeStatus={changeCarStatus}
+                    onRenew={renewCar}
+                    onReport={reportCar}
+                  />
+                )}
+              </Stack.Screen>
+              <Stack.Screen name="Inbox">
+                {({ navigation }) => (
+                  <InboxScreen
+                    user={user}
+                    onBack={() => navigation.goBack()}
+                    onOpenConversation={(conversation) => navigation.navigate('Chat', { conversation })}
+                  />
+                )}
+              </Stack.Screen>
+              <Stack.Screen name="Chat">
+                {({ navigation, route }) => (
+                  <ChatScreen
+                    user={user}
+                    conversation={route.params.conversation}
+                    onBack={() => navigation.goBack()}
+                  />
+                )}
+              </Stack.Screen>
+              <Stack.Screen name="SavedCars">
+                {({ navigation }) => (
+                  <SavedCarsScreen
+                    onBack={() => navigation.goBack()}
+                    onCarPress={handleCarPress}
+                    onToggleFavorite={toggleFavorite}
+                  />
+                )}
+              </Stack.Screen>
+              {user.is_admin && (
+                <Stack.Screen name="Admin">
+                  {({ navigation }) => (
+                    <AdminPanel
+                      user={user}
+                      onBack={() => navigation.goBack()}
+                      onOpenCar={(car) => navigation.navigate('CarDetails', { id: car.id })}
+                    />
+                  )}
+                </Stack.Screen>
+              )}
+            </>
+          )}
+        </Stack.Navigator>
+      </NavigationContainer>
+    </GestureHandlerRootView>
+  );
+}
+
+function AuthScreen() {
+  const [isLogin, setIsLogin] = useState(true);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [username, setUsername] = useState('');
+  const [phone, setPhone] = useState('');
+  const [authLoading, setAuthLoading] = useState(false);
+
+  const handleSignUp = async () => {
+    if (!email || !password || !username || !phone) {
+      Alert.alert('Error', 'Please fill all fields');
+      return;
+    }
+    if (password.length < 6) {
+      Alert.alert('Error', 'Password must be at least 6 characters');
+      return;
+    }
+    
+    setAuthLoading(true);
+    try {
+      // The profile row in `users` is created by a database trigger from
+      // this metadata once the auth user exists.
+      const { data, error } = await supabase.auth.signUp({
+        email: email.trim(),
+        password,
+        options: {
+          data: {
+            username: username.trim(),
+            phone: phone.trim(),
+          },
+        },
+      });
+      
+      if (error) {
+        Alert.alert('Sign Up Error', error.message);
+      } else if (!data.session) {
+        Alert.alert('Success', 'Account created! Check your email to confirm it, then sign in.');
+        setIsLogin(true);
+        setUsername('');
+        setPhone('');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  const handleSignIn = async () => {
+    if (!email || !password) {
+      Alert.alert('Error', 'Please enter email and password');
+      return;
+    }
+    
+    setAuthLoading(true);
+    try {
+      const { error } = await supabase.auth.signInWithPassword({
+        email: email.trim(),
+        password,
+      });
+      
+      // Auth answers suspended accounts with `user_banned` ("User is banned"
+      // on servers that do not send error codes)
+      if (error && (error.code === 'user_banned' || /banned/i.test(error.message || ''))) {
+        Alert.alert('Account suspended', 'This account has been suspended. Contact support if you think this is a mistake.');
+      } else if (error) {
+        Alert.alert('Login Error', 'Invalid email or password');
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Login failed');
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView 
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.authContainer}
+      >
+        <View style={styles.authContent}>
+          <Text style={styles.authTitle}>Billager</Text>
+          <Text style={styles.authSubtitle}>
+            {isLogin ? 'Sign in to your account' : 'Create a new account'}
+          </Text>
+          
+          {!isLogin && (
+            <>
+              <TextInput
+                style={styles.authInput}
+                placeholder="Username"
+                value={username}
+                onChangeText={setUsername}
+                autoCapitalize="words"
+                placeholderTextColor="#999"
+              />
+              <TextInput
+                style={styles.authInput}
+                placeholder="Phone"
+                value={phone}
+                onChangeText={setPhone}
+                keyboardType="numeric"
+                placeholderTextColor="#999"
+              />
+            </>
+          )}
+          
+          <TextInput
+            style={styles.authInput}
+            placeholder="Email"
+            value={email}
+            onChangeText={setEmail}
+            autoCapitalize="none"
+            keyboardType="email-address"
+            placeholderTextColor="#999"
+          />
+          <TextInput
+            style={styles.authInput}
+            placeholder="Password"
+            secureTextEntry
+            value={password}
+            onChangeText={setPassword}
+            placeholderTextColor="#999"
+          />
+          
+          <TouchableOpacity 
+            style={[styles.authButton, authLoading && styles.authButtonDisabled]}
+            onPress={isLogin ? handleSignIn : handleSignUp}
+            disabled={authLoading}
+          >
+            <Text style={styles.authButtonText}>
+              {authLoading ? 'Loading...' : (isLogin ? 'Sign In' : 'Sign Up')}
+            </Text>
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.authSwitchButton}
+            onPress={() => setIsLogin(!isLogin)}
+          >
+            <Text style={styles.authSwitchText}>
+              {isLogin ? "Don't have an account? Sign Up" : 'Already have an account? Sign In'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const FavoriteButton = ({ active, onPress, style }) => (
+  <TouchableOpacity
+    style={[styles.favoriteButton, style]}
+    onPress={onPress}
+    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+  >
+    <Text style={[styles.favoriteIcon, active && styles.favoriteIconActive]}>
+      {active ? '♥' : '♡'}
+    </Text>
+  </TouchableOpacity>
+);
+
+const CarCard = React.memo(({ car, onPress, isFavorite, onToggleFavorite }) => {
+  const priceDrop = priceDropText(car);
+  return (
+    <TouchableOpacity style={styles.carCard} onPress={onPress}>
+      {car.images && car.images.length > 0 ? (
+        <Image source={{ uri: car.thumbnails?.[0] || car.images[0] }} style={styles.carImage} />
+      ) : (
+        <View style={styles.noImage}>
+          <Text style={styles.noImageText}>No image</Text>
+        </View>
+      )}
+      {onToggleFavorite && (
+        <FavoriteButton
+          active={isFavorite}
+          onPress={onToggleFavorite}
+          style={styles.cardFavoriteButton}
+        />
+      )}
+      {car.pending && (
+        <View style={styles.pendingBadge}>
+          <Text style={styles.pendingBadgeText}>Waiting to sync</Text>
+        </View>
+      )}
+      {(car.status === 'reserved' || car.status === 'sold') && (
+        <View style={[styles.statusRibbon, car.status === 'sold' && styles.statusRibbonSold]}>
+          <Text style={styles.statusRibbonText}>{statusLabel(car.status).toUpperCase()}</Text>
+        </View>
+      )}
+      <View style={styles.carInfo}>
+        <Text style={styles.carTitle}>{car.brand} {car.model}</Text>
         <Text style={styles.carYear}>Year: {car.year}</Text>
         <Text style={styles.carKm}>{parseInt(car.km || 0).toLocaleString('nb-NO')} km</Text>
         <Text style={styles.carPrice}>{parseInt(car.price || 0).toLocaleString('nb-NO')} kr</Text>
+        {priceDrop && (
+          <View style={styles.priceDropBadge}>
+            <Text style={styles.priceDropBadgeText}>↓ {priceDrop}</Text>
+          </View>
+        )}
       </View>
     </TouchableOpacity>
   );
 });
 
-const Header = React.memo(({ cars }) => {
+const OfflineBanner = ({ isOffline, pendingCount }) => {
+  if (!isOffline && pendingCount === 0) return null;
+
+  const changes = pendingCount === 1 ? '1 change' : `${pendingCount} changes`;
+  let message;
+  if (!isOffline) {
+    message = `Syncing ${changes}...`;
+  } else if (pendingCount > 0) {
+    message = `You're offline. ${changes} will be saved when you reconnect.`;
+  } else {
+    message = "You're offline. Showing the last loaded cars.";
+  }
+
+  return (
+    <View style={[styles.offlineBanner, !isOffline && styles.offlineBannerSyncing]}>
+      <Text style={styles.offlineBannerText}>{message}</Text>
+    </View>
+  );
+};
+
+// The newest unread notice from the moderators; the rest follow as each is dismissed
+const NoticeBanner = ({ notices, onDismiss }) => {
+  if (notices.length === 0) return null;
+  const notice = notices[0];
+  return (
+    <View style={styles.noticeBanner}>
+      <View style={styles.noticeBannerContent}>
+        <Text style={styles.noticeBannerTitle}>{notice.title}</Text>
+        {!!notice.body && <Text style={styles.noticeBannerText}>{notice.body}</Text>}
+        {notices.length > 1 && (
+          <Text style={styles.noticeBannerMore}>+{notices.length - 1} more</Text>
+        )}
+      </View>
+      <TouchableOpacity onPress={() => onDismiss(notice)}>
+        <Text style={styles.noticeBannerAction}>OK</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const Header = React.memo(({ total, unreadMessages, onOpenMessages }) => {
   return (
     <View style={styles.header}>
       <Text style={styles.headerTitle}> Billager</Text>
-      <Text style={styles.headerSubtitle}>{cars.length} cars for sale</Text>
+      <Text style={styles.headerSubtitle}>{total} cars for sale</Text>
+      <TouchableOpacity style={styles.messagesButton} onPress={onOpenMessages}>
+        <Text style={styles.messagesIcon}>💬</Text>
+        {unreadMessages > 0 && (
+          <View style={[styles.countBadge, styles.messagesBadge]}>
+            <Text style={styles.countBadgeText}>{unreadMessages}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
     </View>
   );
 });
 
-const SearchAndSort = React.memo(({ searchQuery, setSearchQuery, sortBy, setSortBy }) => {
+const SearchAndSort = React.memo(({
+  searchQuery,
+  setSearchQuery,
+  sortBy,
+  setSortBy,
+  filters,
+  onOpenFilters,
+  onRemoveFilter,
+  onClearFilters,
+  onTogglePriceReduced,
+  savedSearches,
+  onSaveSearch,
+  onOpenSavedSearches,
+}) => {
+  const activeFilters = describeFilters(filters);
+  const unseenTotal = savedSearches.reduce((sum, search) => sum + search.unseenCount, 0);
+
   return (
     <View style={styles.searchContainer}>
-      <TextInput
-        style={styles.searchInput}
-        placeholder="Search brand, model or year..."
-        value={searchQuery}
-        onChangeText={setSearchQuery}
-        placeholderTextColor="#999"
-      />
-      <View style={styles.sortButtons}>
+      <View style={styles.searchRow}>
+        <TextInput
+          style={[styles.searchInput, styles.searchInputFlex]}
+          placeholder="Search brand, model, year or description..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholderTextColor="#999"
+        />
+        <TouchableOpacity
+          style={[styles.filterButton, activeFilters.length > 0 && styles.filterButtonActive]}
+          onPress={onOpenFilters}
+        >
+          <Text style={[styles.filterButtonText, activeFilters.length > 0 && styles.filterButtonTextActive]}>
+            Filters{activeFilters.length > 0 ? ` (${activeFilters.length})` : ''}
+          </Text>
+        </TouchableOpacity>
+      </View>
+      {activeFilters.length > 0 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.filterPills}
+          contentContainerStyle={styles.filterPillsContent}
+        >
+          {activeFilters.map((pill) => (
+            <TouchableOpacity
+              key={pill.id}
+              style={styles.filterPill}
+              onPress={() => onRemoveFilter(pill.id)}
+            >
+              <Text style={styles.filterPillText}>{pill.label}  ×</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={styles.clearFiltersPill} onPress={onClearFilters}>
+            <Text style={styles.clearFiltersText}>Clear all</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.sortButtons}
+      >
+        <TouchableOpacity
+          style={[styles.sortButton, sortBy === 'relevance' && styles.sortButtonActive]}
+          onPress={() => setSortBy('relevance')}
+        >
+          <Text style={[styles.sortButtonText, sortBy === 'relevance' && styles.sortButtonTextActive]}>Relevance</Text>
+        </TouchableOpacity>
         <TouchableOpacity
           style={[styles.sortButton, sortBy === 'date' && styles.sortButtonActive]}
           onPress={() => setSortBy('date')}
@@ -506,179 +1375,390 @@ const SearchAndSort = React.memo(({ searchQuery, setSearchQuery, sortBy, setSort
         >
           <Text style={[styles.sortButtonText, sortBy === 'km' && styles.sortButtonTextActive]}>Mileage</Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.sortButton, sortBy === 'reduced' && styles.sortButtonActive]}
+          onPress={() => setSortBy('reduced')}
+        >
+          <Text style={[styles.sortButtonText, sortBy === 'reduced' && styles.sortButtonTextActive]}>Recently reduced</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.priceReducedToggle, filters.priceReduced && styles.priceReducedToggleActive]}
+          onPress={onTogglePriceReduced}
+        >
+          <Text style={[styles.priceReducedToggleText, filters.priceReduced && styles.sortButtonTextActive]}>
+            {filters.priceReduced ? '✓ ' : ''}Price reduced
+          </Text>
+        </TouchableOpacity>
+      </ScrollView>
+      <View style={styles.savedSearchBar}>
+        <TouchableOpacity onPress={onSaveSearch}>
+          <Text style={styles.savedSearchLink}>☆ Save search</Text>
+        </TouchableOpacity>
+        {savedSearches.length > 0 && (
+          <TouchableOpacity style={styles.savedSearchOpen} onPress={onOpenSavedSearches}>
+            <Text style={styles.savedSearchLink}>Saved searches ({savedSearches.length})</Text>
+            {unseenTotal > 0 && (
+              <View style={styles.countBadge}>
+                <Text style={styles.countBadgeText}>{unseenTotal}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+        )}
       </View>
     </View>
   );
 });
 
-function CarList({ cars, onCarPress, onAddCar }) {
+function describeSavedSearch(search) {
+  const parts = describeFilters(search.filters).map((pill) => pill.label);
+  if (search.searchQuery) parts.unshift(`"${search.searchQuery}"`);
+  return parts.length > 0 ? parts.join(' · ') : 'All cars';
+}
+
+function SaveSearchDialog({ visible, onSave, onClose }) {
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    if (visible) setName('');
+  }, [visible]);
+
   return (
-    <View style={{ flex: 1 }}>
-      {cars.length === 0 ? (
-        <View style={styles.emptyState}>
-          <Text style={styles.emptyText}>No cars found</Text>
-          <Text style={styles.emptySubtext}>Add your first car</Text>
-        </View>
-      ) : (
-        <FlatList
-          data={cars}
-          keyExtractor={(item) => item.id}
-          renderItem={({ item }) => (
-            <CarCard car={item} onPress={() => onCarPress(item)} />
-          )
-          }
-          contentContainerStyle={styles.listContent}
-          scrollEnabled={true}
-        />
-      )}
-      <TouchableOpacity style={styles.fab} onPress={onAddCar}>
-        <Text style={styles.fabText}>+</Text>
-      </TouchableOpacity>
-    </View>
+    <Modal visible={visible} animationType="fade" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.dialogBackdrop}
+      >
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Save search</Text>
+          <Text style={styles.dialogText}>
+            We'll let you know when new cars match this search.
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="e.g. Family car under 150 000"
+            placeholderTextColor="#ccc"
+            autoFocus
+          />
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity style={styles.dialogButton} onPress={onClose}>
+              <Text style={styles.backButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.dialogButton}
+              onPress={() => onSave(name)}
+              disabled={!name.trim()}
+            >
+              <Text style={[styles.backButtonText, !name.trim() && styles.disabledText]}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
   );
 }
 
-function AddCarScreen({ onBack, onSave }) {
-  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
-  const [mediaPermission, requestMediaPermission] = MediaLibrary.usePermissions();
-  const [showCamera, setShowCamera] = useState(false);
-  const cameraRef = useRef(null);
-  
-  const [formData, setFormData] = useState({
-    brand: '',
-    model: '',
-    year: '',
-    km: '',
-    price: '',
-    description: '',
-    images: [],
-    ownerName: '',
-    ownerPhone: '',
-    ownerEmail: '',
-  });
+function SavedSearchesSheet({ visible, searches, onSelect, onDelete, onClose }) {
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.sheetBackdrop}>
+        <SafeAreaView style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.backButtonText}>Close</Text>
+            </TouchableOpacity>
+            <Text style={styles.headerTitle}>Saved searches</Text>
+            <View style={{ width: 50 }} />
+          </View>
+          <ScrollView contentContainerStyle={styles.formContent}>
+            {searches.map((search) => (
+              <TouchableOpacity
+                key={search.id}
+                style={styles.savedSearchItem}
+                onPress={() => onSelect(search)}
+                onLongPress={() => onDelete(search)}
+              >
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.savedSearchName}>{search.name}</Text>
+                  <Text style={styles.savedSearchSummary}>{describeSavedSearch(search)}</Text>
+                </View>
+                {search.unseenCount > 0 && (
+                  <View style={styles.countBadge}>
+                    <Text style={styles.countBadgeText}>{search.unseenCount} new</Text>
+                  </View>
+                )}
+                <TouchableOpacity onPress={() => onDelete(search)} style={styles.savedSearchDelete}>
+                  <Text style={styles.removeSavedSearchText}>×</Text>
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </SafeAreaView>
+      </View>
+    </Modal>
+  );
+}
 
-  const [errors, setErrors] = useState({});
+const FILTER_RANGE_FIELDS = [
+  { label: 'Price (kr)', min: 'minPrice', max: 'maxPrice', minPlaceholder: 'From', maxPlaceholder: 'e.g. 150000' },
+  { label: 'Year', min: 'minYear', max: 'maxYear', minPlaceholder: 'e.g. 2015', maxPlaceholder: 'To' },
+  { label: 'Mileage (km)', min: 'minKm', max: 'maxKm', minPlaceholder: 'From', maxPlaceholder: 'e.g. 100000' },
+  { label: 'Power (kW)', min: 'minPower', max: 'maxPower', minPlaceholder: 'e.g. 100', maxPlaceholder: 'To' },
+  { label: 'Seats', min: 'minSeats', max: 'maxSeats', minPlaceholder: 'e.g. 5', maxPlaceholder: 'To' },
+  { label: 'Previous owners', min: 'minOwners', max: 'maxOwners', minPlaceholder: 'From', maxPlaceholder: 'e.g. 2' },
+];
 
-  const updateField = useCallback((field, value) => {
-    setFormData(prev => ({ ...prev, [field]: value }));
-    setErrors(prev => ({ ...prev, [field]: null }));
+function FilterSheet({ visible, filters, onApply, onClose }) {
+  const [draft, setDraft] = useState(filters);
+  const [brands, setBrands] = useState([]);
+
+  useEffect(() => {
+    if (!visible) return;
+    setDraft(filters);
+    fetchCarBrands()
+      .then(setBrands)
+      .catch((error) => console.error('Error loading brands:', error));
+  }, [visible, filters]);
+
+  const updateDraft = useCallback((field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value.replace(/[^0-9]/g, '') }));
   }, []);
 
-  const validateForm = useCallback(() => {
-    const newErrors = {};
-    
-    if (!formData.brand.trim()) newErrors.brand = 'Brand is required';
-    if (!formData.model.trim()) newErrors.model = 'Model is required';
-    if (!formData.year.trim()) newErrors.year = 'Year is required';
-    if (!formData.km.trim()) newErrors.km = 'Mileage is required';
-    if (!formData.price.trim()) newErrors.price = 'Price is required';
-    if (!formData.ownerName.trim()) newErrors.ownerName = 'Name is required';
-    if (!formData.ownerPhone.trim()) newErrors.ownerPhone = 'Phone is required';
-    
-    if (formData.year && (parseInt(formData.year) < 1900 || parseInt(formData.year) > new Date().getFullYear() + 1)) {
-      newErrors.year = 'Invalid year';
-    }
-    
-    if (formData.km && parseInt(formData.km) < 0) {
-      newErrors.km = 'Invalid mileage';
-    }
-    
-    if (formData.price && parseInt(formData.price) < 0) {
-      newErrors.price = 'Invalid price';
-    }
+  const toggleBrand = useCallback((brand) => {
+    setDraft(prev => ({
+      ...prev,
+      brands: prev.brands.includes(brand)
+        ? prev.brands.filter((b) => b !== brand)
+        : [...prev.brands, brand],
+    }));
+  }, []);
 
-    if (formData.ownerEmail && !formData.ownerEmail.includes('@')) {
-      newErrors.ownerEmail = 'Invalid email address';
-    }
+  const toggleChoice = useCallback((key, value) => {
+    setDraft(prev => {
+      const selected = prev[key] || [];
+      return {
+        ...prev,
+        [key]: selected.includes(value)
+          ? selected.filter((v) => v !== value)
+          : [...selected, value],
+      };
+    });
+  }, []);
 
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
-  }, [formData]);
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.sheetBackdrop}>
+        <SafeAreaView style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.backButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.headerTitle}>Filters</Text>
+            <TouchableOpacity onPress={() => setDraft(EMPTY_FILTERS)}>
+              <Text style={styles.backButtonText}>Clear all</Text>
+            </TouchableOpacity>
+          </View>
 
-  const handleSave = useCallback(() => {
-    if (validateForm()) {
-      onSave(formData);
-    } else {
-      Alert.alert('Error', 'Please fill all required fields');
-    }
-  }, [validateForm, onSave, formData]);
+          <ScrollView contentContainerStyle={styles.formContent}>
+            {FILTER_RANGE_FIELDS.map((field) => (
+              <View key={field.label} style={styles.formSection}>
+                <Text style={styles.formLabel}>{field.label}</Text>
+                <View style={styles.rangeRow}>
+                  <TextInput
+                    style={[styles.input, styles.rangeInput]}
+                    value={draft[field.min]}
+                    onChangeText={(text) => updateDraft(field.min, text)}
+                    placeholder={field.minPlaceholder}
+                    placeholderTextColor="#ccc"
+                    keyboardType="number-pad"
+                  />
+                  <Text style={styles.rangeSeparator}>–</Text>
+                  <TextInput
+                    style={[styles.input, styles.rangeInput]}
+                    value={draft[field.max]}
+                    onChangeText={(text) => updateDraft(field.max, text)}
+                    placeholder={field.maxPlaceholder}
+                    placeholderTextColor="#ccc"
+                    keyboardType="number-pad"
+                  />
+                </View>
+              </View>
+            ))}
 
-  const takePicture = useCallback(async () => {
-    if (cameraRef.current) {
-      try {
-        const photo = await cameraRef.current.takePictureAsync({
-          quality: 0.8,
-        });
-        
-        updateField('images', [...formData.images, photo.uri]);
-        setShowCamera(false);
-      } catch (error) {
-        Alert.alert('Error', 'Could not take picture');
-      }
-    }
-  }, [formData.images, updateField]);
+            <Text style={styles.formLabel}>Brand</Text>
+            <View style={styles.chipWrap}>
+              {brands.map(({ brand, listings }) => {
+                const selected = draft.brands.includes(brand);
+                return (
+                  <TouchableOpacity
+                    key={brand}
+                    style={[styles.chip, selected && styles.chipSelected]}
+                    onPress={() => toggleBrand(brand)}
+                  >
+                    <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                      {brand} ({listings})
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
 
-  const openCamera = useCallback(async () => {
-    if (!cameraPermission?.granted) {
-      const result = await requestCameraPermission();
-      if (!result.granted) {
-        Alert.alert('Permission Denied', 'Camera access is required');
-        return;
-      }
-    }
-    setShowCamera(true);
-  }, [cameraPermission, requestCameraPermission]);
+            {CHOICE_FILTERS.map((choice) => (
+              <View key={choice.key} style={styles.formSection}>
+                <Text style={styles.formLabel}>{choice.label}</Text>
+                <View style={styles.chipWrap}>
+                  {choice.options.map((option) => {
+                    const selected = (draft[choice.key] || []).includes(option.value);
+                    return (
+                      <TouchableOpacity
+                        key={option.value}
+                        style={[styles.chip, selected && styles.chipSelected]}
+                        onPress={() => toggleChoice(choice.key, option.value)}
+                      >
+                        <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
 
-  const pickImage = useCallback(async () => {
+            <TouchableOpacity style={styles.saveButton} onPress={() => onApply(draft)}>
+              <Text style={styles.saveButtonText}>Show results</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </SafeAreaView>
+      </View>
+    </Modal>
+  );
+}
+
+function CarList({
+  cars,
+  favoriteIds,
+  onToggleFavorite,
+  onCarPress,
+  onAddCar,
+  onEndReached,
+  onRefresh,
+  refreshing,
+  loadingMore,
+}) {
+  return (
+    <View style={{ flex: 1 }}>
+      <FlatList
+        data={cars}
+        keyExtractor={(item) => item.id}
+        renderItem={({ item }) => (
+          <CarCard
+            car={item}
+            onPress={() => onCarPress(item)}
+            isFavorite={favoriteIds.has(item.id)}
+            onToggleFavorite={item.pendingId ? null : () => onToggleFavorite(item)}
+          />
+        )
+        }
+        extraData={favoriteIds}
+        contentContainerStyle={cars.length === 0 ? styles.emptyListContent : styles.listContent}
+        scrollEnabled={true}
+        onEndReached={onEndReached}
+        onEndReachedThreshold={0.5}
+        onRefresh={onRefresh}
+        refreshing={refreshing}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>No cars found</Text>
+            <Text style={styles.emptySubtext}>Add your first car</Text>
+          </View>
+        }
+        ListFooterComponent={
+          loadingMore ? (
+            <View style={styles.listFooter}>
+              <ActivityIndicator color="#007AFF" />
+            </View>
+          ) : null
+        }
+      />
+      <TouchableOpacity style={styles.fab} onPress={onAddCar}>
+        <Text style={styles.fabText}>+</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+function SavedCarsScreen({ onBack, onCarPress, onToggleFavorite }) {
+  const [favorites, setFavorites] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadFavorites = useCallback(async () => {
     try {
-      const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
-      if (status !== 'granted') {
-        Alert.alert('Permission Denied', 'Photo library access is required');
-        return;
-      }
+      setFavorites(await fetchFavorites());
+    } catch (error) {
+      Alert.alert('Error', 'Could not load saved cars: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
-      const result = await ImagePicker.launchImageLibraryAsync({
-        mediaTypes: ImagePicker.MediaTypeOptions.Images,
-        allowsMultipleSelection: true,
-        quality: 0.8,
-      });
+  useEffect(() => {
+    loadFavorites();
+  }, [loadFavorites]);
 
-      if (!result.canceled && result.assets) {
-        const newImages = result.assets.map(asset => asset.uri);
-        updateField('images', [...formData.images, ...newImages]);
-      }
+  const handleUnsave = useCallback(async (favorite) => {
+    setFavorites(prev => prev.filter((f) => f.id !== favorite.id));
+    if (favorite.car) {
+      await onToggleFavorite(favorite.car);
+      return;
+    }
+    try {
+      await removeFavoriteById(favorite.id);
     } catch (error) {
-      Alert.alert('Error', 'Could not pick image');
+      Alert.alert('Error', 'Could not remove saved car');
+      loadFavorites();
     }
-  }, [formData.images, updateField]);
+  }, [onToggleFavorite, loadFavorites]);
 
-  const removeImage = useCallback((index) => {
-    const newImages = formData.images.filter((_, i) => i !== index);
-    updateField('images', newImages);
-  }, [formData.images, updateField]);
+  const renderFavorite = ({ item }) => {
+    if (item.car) {
+      return (
+        <CarCard
+          car={item.car}
+          onPress={() => onCarPress(item.car)}
+          isFavorite
+          onToggleFavorite={() => handleUnsave(item)}
+        />
+      );
+    }
 
-  if (showCamera) {
+    // The listing was deleted: show what was saved, clearly marked
+    const { snapshot } = item;
     return (
-      <View style={styles.container}>
-        <CameraView style={styles.camera} ref={cameraRef} facing="back">
-          <View style={styles.cameraButtons}>
-            <TouchableOpacity
-              style={styles.cameraBackButton}
-              onPress={() => setShowCamera(false)}
-            >
-              <Text style={styles.cameraButtonText}>Close</Text>
-            </TouchableOpacity>
-            <TouchableOpacity
-              style={styles.captureButton}
-              onPress={takePicture}
-            >
-              <View style={styles.captureButtonInner} />
-            </TouchableOpacity>
+      <View style={[styles.carCard, styles.unavailableCard]}>
+        {snapshot.image ? (
+          <Image source={{ uri: snapshot.image }} style={styles.carImage} />
+        ) : (
+          <View style={styles.noImage}>
+            <Text style={styles.noImageText}>No image</Text>
           </View>
-        </CameraView>
+        )}
+        <View style={styles.unavailableRibbon}>
+          <Text style={styles.unavailableRibbonText}>NO LONGER AVAILABLE</Text>
+        </View>
+        <FavoriteButton active onPress={() => handleUnsave(item)} style={styles.cardFavoriteButton} />
+        <View style={styles.carInfo}>
+          <Text style={styles.carTitle}>{snapshot.brand} {snapshot.model}</Text>
+          <Text style={styles.carYear}>Year: {snapshot.year}</Text>
+          <Text style={styles.carKm}>{parseInt(snapshot.km || 0).toLocaleString('nb-NO')} km</Text>
+          <Text style={[styles.carPrice, styles.unavailablePrice]}>
+            {parseInt(snapshot.price || 0).toLocaleString('nb-NO')} kr
+          </Text>
+        </View>
       </View>
     );
-  }
+  };
 
   return (
     <SafeAreaView style={styles.container}>
@@ -686,233 +1766,458 @@ function AddCarScreen({ onBack, onSave }) {
         <TouchableOpacity onPress={onBack} style={styles.backButton}>
           <Text style={styles.backButtonText}>← Back</Text>
         </TouchableOpacity>
-        <Text style={styles.headerTitle}>Add Car</Text>
+        <Text style={styles.headerTitle}>Saved Cars</Text>
         <View style={{ width: 80 }} />
       </View>
 
-      <KeyboardAvoidingView
-        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
-        style={{ flex: 1 }}
-      >
-        <ScrollView style={styles.formContainer} contentContainerStyle={styles.formContent}>
-          
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Photos</Text>
-            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.imageScroll}>
-              {formData.images.map((uri, index) => (
-                <View key={index} style={styles.imagePreviewContainer}>
-                  <Image source={{ uri }} style={styles.imagePreview} />
-                  <TouchableOpacity
-                    style={styles.removeImageButton}
-                    onPress={() => removeImage(index)}
-                  >
-                    <Text style={styles.removeImageText}>×</Text>
-                  </TouchableOpacity>
-                </View>
-              ))}
-              <View style={styles.addImageButtons}>
-                <TouchableOpacity style={styles.addImageButton} onPress={openCamera}>
-                  <Text style={styles.addImageText}>Take Photo</Text>
-                </TouchableOpacity>
-                <TouchableOpacity style={styles.addImageButton} onPress={pickImage}>
-                  <Text style={styles.addImageText}>Choose Photos</Text>
-                </TouchableOpacity>
-              </View>
-            </ScrollView>
-          </View>
+      {loading ? (
+        <View style={styles.adminLoading}>
+          <ActivityIndicator color="#007AFF" />
+        </View>
+      ) : (
+        <FlatList
+          data={favorites}
+          keyExtractor={(item) => item.id}
+          renderItem={renderFavorite}
+          contentContainerStyle={favorites.length === 0 ? styles.emptyListContent : styles.listContent}
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>No saved cars</Text>
+              <Text style={styles.emptySubtext}>Tap ♡ on a car to save it here</Text>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+}
 
-          <Text style={styles.sectionTitle}>Car Details</Text>
+function RegnrInput({ field, value, error, onChange, onPrefill }) {
+  const [lookingUp, setLookingUp] = useState(false);
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Brand *</Text>
-            <TextInput
-              style={[styles.input, errors.brand && styles.inputError]}
-              value={formData.brand}
-              onChangeText={(text) => updateField('brand', text)}
-              placeholder="e.g. Toyota, BMW, Volvo"
-              placeholderTextColor="#ccc"
-            />
-            {errors.brand && <Text style={styles.errorText}>{errors.brand}</Text>}
-          </View>
+  const handleLookup = useCallback(async () => {
+    if (!isValidRegnr(value)) {
+      Alert.alert('Invalid registration number', 'Use the format AB 12345 or a personalised plate.');
+      return;
+    }
+    setLookingUp(true);
+    try {
+      const vehicle = await lookupVehicle(value);
+      if (vehicle) {
+        onPrefill(vehicle);
+      } else {
+        Alert.alert('Not found', `No vehicle found for ${formatRegnr(value)}. Fill in the details manually.`);
+      }
+    } catch (lookupError) {
+      Alert.alert('Error', 'Could not look up the vehicle');
+    } finally {
+      setLookingUp(false);
+    }
+  }, [value, onPrefill]);
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Model *</Text>
-            <TextInput
-              style={[styles.input, errors.model && styles.inputError]}
-              value={formData.model}
-              onChangeText={(text) => updateField('model', text)}
-              placeholder="e.g. Corolla, X5, V70"
-              placeholderTextColor="#ccc"
-            />
-            {errors.model && <Text style={styles.errorText}>{errors.model}</Text>}
-          </View>
+  return (
+    <View style={styles.regnrRow}>
+      <TextInput
+        style={[styles.input, styles.regnrInput, error && styles.inputError]}
+        value={value}
+        onChangeText={(text) => onChange(text.toUpperCase())}
+        placeholder={field.placeholder}
+        placeholderTextColor="#ccc"
+        autoCapitalize={field.autoCapitalize}
+        autoCorrect={false}
+      />
+      <TouchableOpacity
+        style={[styles.lookupButton, lookingUp && styles.saveButtonDisabled]}
+        onPress={handleLookup}
+        disabled={lookingUp || !value}
+      >
+        {lookingUp ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.lookupButtonText}>Look up</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+}
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Year *</Text>
-            <TextInput
-              style={[styles.input, errors.year && styles.inputError]}
-              value={formData.year}
-              onChangeText={(text) => updateField('year', text)}
-              placeholder="e.g. 2020"
-              placeholderTextColor="#ccc"
-              keyboardType="number-pad"
-            />
-            {errors.year && <Text style={styles.errorText}>{errors.year}</Text>}
-          </View>
+// One input from LISTING_FIELDS (listing-schema.js)
+function ListingField({ field, value, error, onChange, onPrefill }) {
+  let input;
+  if (field.type === 'regnr') {
+    input = (
+      <RegnrInput field={field} value={value} error={error} onChange={onChange} onPrefill={onPrefill} />
+    );
+  } else if (field.type === 'choice') {
+    input = (
+      <View style={styles.chipWrap}>
+        {field.options.map((option) => {
+          const selected = value === option.value;
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.chip, selected && styles.chipSelected]}
+              onPress={() => onChange(selected ? '' : option.value)}
+            >
+              <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{option.label}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    );
+  } else {
+    input = (
+      <TextInput
+        style={[styles.input, field.multiline && styles.textArea, error && styles.inputError]}
+        value={value}
+        onChangeText={onChange}
+        placeholder={field.placeholder}
+        placeholderTextColor="#ccc"
+        keyboardType={field.keyboardType || (field.type === 'integer' ? 'number-pad' : 'default')}
+        autoCapitalize={field.autoCapitalize}
+        multiline={field.multiline}
+        numberOfLines={field.multiline ? 4 : undefined}
+      />
+    );
+  }
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Mileage *</Text>
-            <TextInput
-              style={[styles.input, errors.km && styles.inputError]}
-              value={formData.km}
-              onChangeText={(text) => updateField('km', text)}
-              placeholder="e.g. 50000"
-              placeholderTextColor="#ccc"
-              keyboardType="number-pad"
-            />
-            {errors.km && <Text style={styles.errorText}>{errors.km}</Text>}
-          </View>
+  return (
+    <View style={styles.formSection}>
+      <Text style={styles.formLabel}>{fieldLabel(field)}</Text>
+      {input}
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+}
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Price (kr) *</Text>
-            <TextInput
-              style={[styles.input, errors.price && styles.inputError]}
-              value={formData.price}
-              onChangeText={(text) => updateField('price', text)}
-              placeholder="e.g. 250000"
-              placeholderTextColor="#ccc"
-              keyboardType="number-pad"
-            />
-            {errors.price && <Text style={styles.errorText}>{errors.price}</Text>}
-          </View>
+// Guide drawn over the camera preview for a SHOT_LIST entry
+function ShotOutline({ outline }) {
+  const guideWidth = width * outline.width;
+  const guideHeight = guideWidth / outline.aspect;
+  const wheel = guideHeight * 0.4;
+  return (
+    <View
+      style={[
+        styles.shotOutline,
+        { width: guideWidth, height: guideHeight },
+        outline.round && { borderRadius: guideWidth / 2 },
+      ]}
+    >
+      {outline.wheels && (
+        <>
+          <View style={[styles.shotWheel, { width: wheel, height: wheel, borderRadius: wheel / 2, bottom: -wheel / 2, left: guideWidth * 0.12 }]} />
+          <View style={[styles.shotWheel, { width: wheel, height: wheel, borderRadius: wheel / 2, bottom: -wheel / 2, right: guideWidth * 0.12 }]} />
+        </>
+      )}
+    </View>
+  );
+}
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Description</Text>
-            <TextInput
-              style={[styles.input, styles.textArea]}
-              value={formData.description}
-              onChangeText={(text) => updateField('description', text)}
-              placeholder="Describe the car, equipment, condition..."
-              placeholderTextColor="#ccc"
-              multiline
-              numberOfLines={4}
-            />
-          </View>
+const PHOTO_EDITOR_BOX = { width: width - 32, height: Math.round(height * 0.5) };
 
-          <Text style={styles.sectionTitle}>Contact Information</Text>
+// Rotate and crop one listing photo (photo-edit.js). The crop frame keeps
+// the chosen aspect ratio at full size and can be dragged along the axis
+// it has room on.
+function PhotoEditor({
+  uri,
+  angle,
+  onChangeAngle,
+  isCover,
+  onSave,
+  onSetCover,
+  onRemove,
+  onClose,
+}) {
+  const [photo, setPhoto] = useState(null);
+  const [aspect, setAspect] = useState('original');
+  const [offset, setOffset] = useState(0.5);
+  const [busy, setBusy] = useState(false);
+  // Frame geometry for the pan responder, which is created once; filled in
+  // by an effect below so renders never write to it
+  const dragRef = useRef({ start: 0.5, offset: 0.5, range: 0, horizontal: true });
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Name *</Text>
-            <TextInput
-              style={[styles.input, errors.ownerName && styles.inputError]}
-              value={formData.ownerName}
-              onChangeText={(text) => updateField('ownerName', text)}
-              placeholder="Your name"
-              placeholderTextColor="#ccc"
-            />
-            {errors.ownerName && <Text style={styles.errorText}>{errors.ownerName}</Text>}
-          </View>
+  useEffect(() => {
+    if (!uri) return;
+    let cancelled = false;
+    setPhoto(null);
+    setAspect('original');
+    setOffset(0.5);
+    loadPhoto(uri)
+      .then((loaded) => {
+        if (!cancelled) setPhoto(loaded);
+      })
+      .catch((error) => {
+        console.error('Error loading photo:', error);
+        Alert.alert('Error', 'Could not open this photo');
+        onClose();
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [uri, onClose]);
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Phone *</Text>
-            <TextInput
-              style={[styles.input, errors.ownerPhone && styles.inputError]}
-              value={formData.ownerPhone}
-              onChangeText={(text) => updateField('ownerPhone', text)}
-              placeholder="Your phone number"
-              placeholderTextColor="#ccc"
-              keyboardType="phone-pad"
-            />
-            {errors.ownerPhone && <Text style={styles.errorText}>{errors.ownerPhone}</Text>}
-          </View>
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => dragRef.current.range > 0,
+    onMoveShouldSetPanResponder: () => dragRef.current.range > 0,
+    onPanResponderGrant: () => {
+      dragRef.current.start = dragRef.current.offset;
+    },
+    onPanResponderMove: (_, gesture) => {
+      const { start, range, horizontal } = dragRef.current;
+      const delta = (horizontal ? gesture.dx : gesture.dy) / range;
+      setOffset(Math.min(Math.max(start + delta, 0), 1));
+    },
+  })).current;
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Email</Text>
-            <TextInput
-              style={[styles.input, errors.ownerEmail && styles.inputError]}
-              value={formData.ownerEmail}
-              onChangeText={(text) => updateField('ownerEmail', text)}
-              placeholder="Your email"
-              placeholderTextColor="#ccc"
-              keyboardType="email-address"
-            />
-            {errors.ownerEmail && <Text style={styles.errorText}>{errors.ownerEmail}</Text>}
-          </View>
+  const ratio = CROP_ASPECTS.find((option) => option.id === aspect).ratio;
+  const rect = photo ? cropRect(photo, ratio, offset) : null;
+  const scale = photo
+    ? Math.min(PHOTO_EDITOR_BOX.width / photo.width, PHOTO_EDITOR_BOX.height / photo.height)
+    : 1;
+  const shown = photo ? { width: photo.width * scale, height: photo.height * scale } : null;
+  const horizontal = rect ? rect.width < photo.width : true;
+  let range = 0;
+  if (rect) {
+    range = horizontal
+      ? (photo.width - rect.width) * scale
+      : (photo.height - rect.height) * scale;
+  }
+
+  useEffect(() => {
+    dragRef.current = { ...dragRef.current, offset, horizontal, range };
+  }, [offset, horizontal, range]);
+
+  const rotate = async (degrees) => {
+    setBusy(true);
+    try {
+      setPhoto(await rotatePhoto(photo.uri, degrees));
+      setOffset(0.5);
+    } catch (error) {
+      console.error('Error rotating photo:', error);
+      Alert.alert('Error', 'Could not rotate photo');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDone = async () => {
+    if (!rect && photo.uri === uri) {
+      onClose();
+      return;
+    }
+    setBusy(true);
+    try {
+      const edited = rect ? await cropPhoto(photo.uri, rect) : photo;
+      onSave(edited.uri);
+    } catch (error) {
+      console.error('Error cropping photo:', error);
+      Alert.alert('Error', 'Could not crop photo');
+    } finally {
+      setBusy(false);
+    }
+  };
 
-          <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
-            <Text style={styles.saveButtonText}>Save Car</Text>
+  return (
+    <Modal visible={Boolean(uri)} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.photoEditor}>
+        <View style={styles.sheetHeader}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.backButtonText}>Cancel</Text>
           </TouchableOpacity>
+          <Text style={styles.headerTitle}>Edit photo</Text>
+          <TouchableOpacity onPress={handleDone} disabled={!photo || busy}>
+            <Text style={[styles.backButtonText, (!photo || busy) && styles.disabledText]}>Done</Text>
+          </TouchableOpacity>
+        </View>
 
-          <View style={{ height: 20 }} />
-        </ScrollView>
-      </KeyboardAvoidingView>
-    </SafeAreaView>
+        <View style={[styles.photoEditorStage, PHOTO_EDITOR_BOX]}>
+          {photo ? (
+            <View style={shown}>
+              <Image source={{ uri: photo.uri }} style={shown} />
+              {rect && (
+                <View
+                  {...panResponder.panHandlers}
+                  style={[
+                    styles.cropFrame,
+                    {
+                      left: rect.originX * scale,
+                      top: rect.originY * scale,
+                      width: rect.width * scale,
+                      height: rect.height * scale,
+                    },
+                  ]}
+                />
+              )}
+            </View>
+          ) : (
+            <ActivityIndicator color="#fff" />
+          )}
+          {busy && (
+            <View style={styles.photoEditorBusy}>
+              <ActivityIndicator color="#fff" />
+            </View>
+          )}
+        </View>
+
+        <View style={styles.photoEditorControls}>
+          <Text style={styles.formLabel}>Angle</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {SHOT_LIST.map((shot) => {
+              const selected = angle === shot.id;
+              return (
+                <TouchableOpacity
+                  key={shot.id}
+                  style={[styles.chip, styles.angleChip, selected && styles.chipSelected]}
+                  onPress={() => onChangeAngle(selected ? '' : shot.id)}
+                >
+                  <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{shot.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+          <Text style={styles.formLabel}>Crop</Text>
+          <View style={styles.chipWrap}>
+            {CROP_ASPECTS.map((option) => (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.chip, aspect === option.id && styles.chipSelected]}
+                onPress={() => {
+                  setAspect(option.id);
+                  setOffset(0.5);
+                }}
+              >
+                <Text style={[styles.chipText, aspect === option.id && styles.chipTextSelected]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.photoEditorRow}>
+            <TouchableOpacity style={styles.secondaryButtonSmall} onPress={() => rotate(-90)} disabled={!photo || busy}>
+              <Text style={styles.secondaryButtonText}>⟲ Rotate</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButtonSmall} onPress={() => rotate(90)} disabled={!photo || busy}>
+              <Text style={styles.secondaryButtonText}>Rotate ⟳</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.photoEditorRow}>
+            {!isCover && (
+              <TouchableOpacity style={styles.secondaryButtonSmall} onPress={onSetCover}>
+                <Text style={styles.secondaryButtonText}>Set as cover</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.secondaryButtonSmall} onPress={onRemove}>
+              <Text style={styles.removePhotoText}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </SafeAreaView>
+    </Modal>
   );
 }
 
-function EditCarScreen({ car, onBack, onSave }) {
+// `banner` is shown above the photos. `onValuesChange` sees every edit (the
+// add form autosaves from it); `secondaryLabel`/`onSecondarySave` add a
+// second submit button that saves through the same validation.
+function ListingForm({
+  title,
+  submitLabel,
+  initialValues,
+  onBack,
+  onSave,
+  banner,
+  onValuesChange,
+  secondaryLabel,
+  onSecondarySave,
+}) {
   const [cameraPermission, requestCameraPermission] = useCameraPermissions();
   const [showCamera, setShowCamera] = useState(false);
+  // Position in SHOT_LIST while the camera is in guided mode, else null
+  const [shotIndex, setShotIndex] = useState(null);
   const cameraRef = useRef(null);
-  
-  const [formData, setFormData] = useState({
-    brand: car.brand,
-    model: car.model,
-    year: car.year,
-    km: car.km,
-    price: car.price,
-    description: car.description || '',
-    images: car.images || [],
-    ownerName: car.ownerName || '',
-    ownerPhone: car.ownerPhone || '',
-    ownerEmail: car.ownerEmail || '',
-  });
 
+  const [formData, setFormData] = useState(initialValues);
   const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  // Index of the photo open in PhotoEditor
+  const [editingIndex, setEditingIndex] = useState(null);
 
   const updateField = useCallback((field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     setErrors(prev => ({ ...prev, [field]: null }));
   }, []);
 
-  const validateForm = useCallback(() => {
-    const newErrors = {};
-    
-    if (!formData.brand.trim()) newErrors.brand = 'Brand is required';
-    if (!formData.model.trim()) newErrors.model = 'Model is required';
-    if (!formData.year.trim()) newErrors.year = 'Year is required';
-    if (!formData.km.trim()) newErrors.km = 'Mileage is required';
-    if (!formData.price.trim()) newErrors.price = 'Price is required';
-    if (!formData.ownerName.trim()) newErrors.ownerName = 'Name is required';
-    if (!formData.ownerPhone.trim()) newErrors.ownerPhone = 'Phone is required';
-    
-    if (formData.year && (parseInt(formData.year) < 1900 || parseInt(formData.year) > new Date().getFullYear() + 1)) {
-      newErrors.year = 'Invalid year';
-    }
-    
-    if (formData.km && parseInt(formData.km) < 0) {
-      newErrors.km = 'Invalid mileage';
-    }
-    
-    if (formData.price && parseInt(formData.price) < 0) {
-      newErrors.price = 'Invalid price';
-    }
+  // Values the registry did not return are left as the seller typed them
+  const prefillFromVehicle = useCallback((vehicle) => {
+    const values = listingFormValues(vehicle);
+    setFormData(prev => ({ ...prev, ...values }));
+    setErrors(prev => {
+      const next = { ...prev };
+      Object.keys(values).forEach((field) => { next[field] = null; });
+      return next;
+    });
+  }, []);
 
-    if (formData.ownerEmail && !formData.ownerEmail.includes('@')) {
-      newErrors.ownerEmail = 'Invalid email address';
-    }
+  useEffect(() => {
+    if (onValuesChange) onValuesChange(formData);
+  }, [formData, onValuesChange]);
 
+  const submit = useCallback(async (save) => {
+    const newErrors = validateListing(formData);
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    if (Object.keys(newErrors).length > 0) {
+      Alert.alert('Error', 'Please fill all required fields');
+      return;
+    }
+    setSaving(true);
+    try {
+      await save(listingDataFromForm(formData));
+    } finally {
+      setSaving(false);
+    }
   }, [formData]);
 
-  const handleSave = useCallback(() => {
-    if (validateForm()) {
-      onSave(formData);
+  const photosLeft = MAX_PHOTOS - formData.images.length;
+
+  const alertPhotoLimit = () => {
+    Alert.alert(
+      'Photo limit reached',
+      `A listing can have up to ${MAX_PHOTOS} photos. Remove one to add another.`
+    );
+  };
+
+  // Photos and their angle tags change together
+  const updatePhotos = useCallback((update) => {
+    setFormData(prev => ({ ...prev, ...update(prev.images, prev.imageAngles || {}) }));
+    setErrors(prev => ({ ...prev, images: null }));
+  }, []);
+
+  const addPhotos = useCallback((uris, angle = '') => {
+    updatePhotos((images, angles) => {
+      const nextAngles = { ...angles };
+      if (angle) uris.forEach((uri) => { nextAngles[uri] = angle; });
+      return { images: [...images, ...uris], imageAngles: nextAngles };
+    });
+  }, [updatePhotos]);
+
+  // Angles of the photos in the form, for skipping shots already taken
+  const takenAngles = formData.images
+    .map((uri) => formData.imageAngles?.[uri])
+    .filter(Boolean);
+
+  const closeCamera = () => {
+    setShowCamera(false);
+    setShotIndex(null);
+  };
+
+  const goToNextShot = (taken) => {
+    const next = nextShotIndex(shotIndex, taken);
+    if (next === -1) {
+      closeCamera();
     } else {
-      Alert.alert('Error', 'Please fill all required fields');
+      setShotIndex(next);
     }
-  }, [validateForm, onSave, formData]);
+  };
 
   const takePicture = useCallback(async () => {
     if (cameraRef.current) {
@@ -920,15 +2225,28 @@ function EditCarScreen({ car, onBack, onSave }) {
         const photo = await cameraRef.current.takePictureAsync({
           quality: 0.8,
         });
-        updateField('images', [...formData.images, photo.uri]);
-        setShowCamera(false);
+        const shot = shotIndex !== null ? SHOT_LIST[shotIndex] : null;
+        addPhotos([photo.uri], shot ? shot.id : '');
+        if (!shot) {
+          setShowCamera(false);
+        } else if (photosLeft <= 1) {
+          closeCamera();
+          alertPhotoLimit();
+        } else if (!shot.repeat) {
+          goToNextShot([...takenAngles, shot.id]);
+        }
       } catch (error) {
         Alert.alert('Error', 'Could not take picture');
       }
     }
-  }, [formData.images, updateField]);
+  }, [shotIndex, photosLeft, takenAngles, addPhotos]);
 
-  const openCamera = useCallback(async () => {
+  // `guided` walks through SHOT_LIST, starting at the first shot not taken
+  const openCamera = useCallback(async (guided = false) => {
+    if (photosLeft <= 0) {
+      alertPhotoLimit();
+      return;
+    }
     if (!cameraPermission?.granted) {
       const result = await requestCameraPermission();
       if (!result.granted) {
@@ -936,10 +2254,15 @@ function EditCarScreen({ car, onBack, onSave }) {
         return;
       }
     }
+    setShotIndex(guided ? nextShotIndex(-1, takenAngles) : null);
     setShowCamera(true);
-  }, [cameraPermission, requestCameraPermission]);
+  }, [photosLeft, takenAngles, cameraPermission, requestCameraPermission]);
 
   const pickImage = useCallback(async () => {
+    if (photosLeft <= 0) {
+      alertPhotoLimit();
+      return;
+    }
     try {
       const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
       if (status !== 'granted') {
@@ -950,31 +2273,106 @@ function EditCarScreen({ car, onBack, onSave }) {
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ImagePicker.MediaTypeOptions.Images,
         allowsMultipleSelection: true,
+        selectionLimit: photosLeft,
         quality: 0.8,
       });
 
       if (!result.canceled && result.assets) {
-        const newImages = result.assets.map(asset => asset.uri);
-        updateField('images', [...formData.images, ...newImages]);
+        // The same photo picked twice would share a key in the strip
+        const newImages = result.assets
+          .map(asset => asset.uri)
+          .filter(uri => !formData.images.includes(uri));
+        // selectionLimit is not enforced everywhere (e.g. older Android)
+        if (newImages.length > photosLeft) alertPhotoLimit();
+        addPhotos(newImages.slice(0, photosLeft));
       }
     } catch (error) {
       Alert.alert('Error', 'Could not pick image');
     }
-  }, [formData.images, updateField]);
+  }, [photosLeft, formData.images, addPhotos]);
+
+  const closePhotoEditor = useCallback(() => setEditingIndex(null), []);
 
   const removeImage = useCallback((index) => {
-    const newImages = formData.images.filter((_, i) => i !== index);
-    updateField('images', newImages);
+    updatePhotos((images, angles) => {
+      const rest = { ...angles };
+      delete rest[images[index]];
+      return { images: images.filter((_, i) => i !== index), imageAngles: rest };
+    });
+  }, [updatePhotos]);
+
+  // An edited photo keeps the original's angle tag
+  const replaceImage = useCallback((index, uri) => {
+    updatePhotos((images, angles) => {
+      const { [images[index]]: angle, ...rest } = angles;
+      return {
+        images: images.map((image, i) => (i === index ? uri : image)),
+        imageAngles: angle ? { ...rest, [uri]: angle } : rest,
+      };
+    });
+  }, [updatePhotos]);
+
+  const setImageAngle = useCallback((uri, angle) => {
+    updatePhotos((images, angles) => ({ images, imageAngles: { ...angles, [uri]: angle } }));
+  }, [updatePhotos]);
+
+  // The first photo is the cover shown on the car list
+  const setCoverImage = useCallback((index) => {
+    const cover = formData.images[index];
+    updateField('images', [cover, ...formData.images.filter((_, i) => i !== index)]);
   }, [formData.images, updateField]);
 
+  const renderPhoto = useCallback(({ item: uri, drag, isActive, getIndex }) => {
+    const index = getIndex();
+    return (
+      <ScaleDecorator>
+        <TouchableOpacity
+          style={styles.imagePreviewContainer}
+          onPress={() => setEditingIndex(index)}
+          onLongPress={drag}
+          disabled={isActive}
+        >
+          <Image source={{ uri }} style={styles.imagePreview} />
+          {formData.imageAngles?.[uri] && (
+            <View style={styles.angleBadge}>
+              <Text style={styles.coverBadgeText}>{shotLabel(formData.imageAngles[uri])}</Text>
+            </View>
+          )}
+          {index === 0 && (
+            <View style={styles.coverBadge}>
+              <Text style={styles.coverBadgeText}>Cover</Text>
+            </View>
+          )}
+          <TouchableOpacity
+            style={styles.removeImageButton}
+            onPress={() => removeImage(index)}
+          >
+            <Text style={styles.removeImageText}>×</Text>
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </ScaleDecorator>
+    );
+  }, [removeImage, formData.imageAngles]);
+
   if (showCamera) {
+    const shot = shotIndex !== null ? SHOT_LIST[shotIndex] : null;
     return (
       <View style={styles.container}>
         <CameraView style={styles.camera} ref={cameraRef} facing="back">
+          {shot && (
+            <View style={styles.shotOverlay} pointerEvents="none">
+              <View style={styles.shotHeader}>
+                <Text style={styles.shotStep}>Shot {shotIndex + 1} of {SHOT_LIST.length}</Text>
+                <Text style={styles.shotTitle}>{shot.label}</Text>
+                <Text style={styles.shotHint}>{shot.hint}</Text>
+              </View>
+              {shot.outline && <ShotOutline outline={shot.outline} />}
+            </View>
+          )}
           <View style={styles.cameraButtons}>
             <TouchableOpacity
               style={styles.cameraBackButton}
-              onPress={() => setShowCamera(false)}
+              onPress={closeCamera}
             >
               <Text style={styles.cameraButtonText}>Close</Text>
             </TouchableOpacity>
@@ -984,6 +2382,16 @@ function EditCarScreen({ car, onBack, onSave }) {
             >
               <View style={styles.captureButtonInner} />
             </TouchableOpacity>
+            {shot && (
+              <TouchableOpacity
+                style={styles.cameraBackButton}
+                onPress={() => goToNextShot(takenAngles)}
+              >
+                <Text style={styles.cameraButtonText}>
+                  {nextShotIndex(shotIndex, takenAngles) === -1 ? 'Finish' : 'Skip'}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
         </CameraView>
       </View>
@@ -996,7 +2404,7 @@ function EditCarScreen({ car, onBack, onSave }) {
         <TouchableOpacity onPress={onBack} style={styles.backButton}>
           <Text style={styles.backButtonText}>← Back</Text>
         </TouchableOpacity>
-        <Text style={styles.headerTitle}>Edit Car</Text>
+        <Text style={styles.headerTitle}>{title}</Text>
         <View style={{ width: 80 }} />
       </View>
 
@@ -1004,203 +2412,969 @@ function EditCarScreen({ car, onBack, onSave }) {
         behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
         style={{ flex: 1 }}
       >
-        <ScrollView style={styles.formContainer} contentContainerStyle={styles.formContent}>
-          
+        {/* Nestable, so dragging photos does not fight the form's scrolling */}
+        <NestableScrollContainer style={styles.formContainer} contentContainerStyle={styles.formContent}>
+          {banner}
+
           <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Photos</Text>
-            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.imageScroll}>
-              {formData.images.map((uri, index) => (
-                <View key={index} style={styles.imagePreviewContainer}>
-                  <Image source={{ uri }} style={styles.imagePreview} />
+            <Text style={styles.formLabel}>Photos ({formData.images.length}/{MAX_PHOTOS})</Text>
+            <NestableDraggableFlatList
+              horizontal
+              data={formData.images}
+              keyExtractor={(uri) => uri}
+              renderItem={renderPhoto}
+              onDragEnd={({ data }) => updateField('images', data)}
+              showsHorizontalScrollIndicator={false}
+              style={styles.imageScroll}
+              contentContainerStyle={styles.imageStripContent}
+              ListFooterComponent={(
+                <View style={styles.addImageButtons}>
+                  <TouchableOpacity
+                    style={[styles.addImageButton, photosLeft <= 0 && styles.addImageButtonDisabled]}
+                    onPress={() => openCamera(true)}
+                  >
+                    <Text style={styles.addImageText}>Guided Shots</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.addImageButton, photosLeft <= 0 && styles.addImageButtonDisabled]}
+                    onPress={() => openCamera()}
+                  >
+                    <Text style={styles.addImageText}>Take Photo</Text>
+                  </TouchableOpacity>
                   <TouchableOpacity
-                    style={styles.removeImageButton}
-                    onPress={() => removeImage(index)}
+                    style={[styles.addImageButton, photosLeft <= 0 && styles.addImageButtonDisabled]}
+                    onPress={pickImage}
                   >
-                    <Text style={styles.removeImageText}>×</Text>
+                    <Text style={styles.addImageText}>Choose Photos</Text>
                   </TouchableOpacity>
                 </View>
-              ))}
-              <View style={styles.addImageButtons}>
-                <TouchableOpacity style={styles.addImageButton} onPress={openCamera}>
-                  <Text style={styles.addImageText}>Take Photo</Text>
-                </TouchableOpacity>
-                <TouchableOpacity style={styles.addImageButton} onPress={pickImage}>
-                  <Text style={styles.addImageText}>Choose Photos</Text>
-                </TouchableOpacity>
-              </View>
-            </ScrollView>
-          </View>
-
-          <Text style={styles.sectionTitle}>Car Details</Text>
-
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Brand *</Text>
-            <TextInput
-              style={[styles.input, errors.brand && styles.inputError]}
-              value={formData.brand}
-              onChangeText={(text) => updateField('brand', text)}
-              placeholder="e.g. Toyota, BMW, Volvo"
-              placeholderTextColor="#ccc"
+              )}
             />
-            {errors.brand && <Text style={styles.errorText}>{errors.brand}</Text>}
+            {formData.images.length > 1 && (
+              <Text style={styles.photoHint}>
+                Hold and drag to reorder. Tap a photo to rotate, crop or make it the cover.
+              </Text>
+            )}
+            {photosLeft <= 0 && (
+              <Text style={styles.photoHint}>
+                That's the maximum of {MAX_PHOTOS} photos. Remove one to add another.
+              </Text>
+            )}
+            {errors.images && <Text style={styles.errorText}>{errors.images}</Text>}
           </View>
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Model *</Text>
-            <TextInput
-              style={[styles.input, errors.model && styles.inputError]}
-              value={formData.model}
-              onChangeText={(text) => updateField('model', text)}
-              placeholder="e.g. Corolla, X5, V70"
-              placeholderTextColor="#ccc"
-            />
-            {errors.model && <Text style={styles.errorText}>{errors.model}</Text>}
-          </View>
+          {LISTING_SECTIONS.map((section) => (
+            <React.Fragment key={section.id}>
+              <Text style={styles.sectionTitle}>{section.title}</Text>
+              {LISTING_FIELDS.filter((field) => field.section === section.id).map((field) => (
+                <ListingField
+                  key={field.name}
+                  field={field}
+                  value={formData[field.name]}
+                  error={errors[field.name]}
+                  onChange={(value) => updateField(field.name, value)}
+                  onPrefill={prefillFromVehicle}
+                />
+              ))}
+            </React.Fragment>
+          ))}
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Year *</Text>
-            <TextInput
-              style={[styles.input, errors.year && styles.inputError]}
-              value={formData.year}
-              onChangeText={(text) => updateField('year', text)}
-              placeholder="e.g. 2020"
-              placeholderTextColor="#ccc"
-              keyboardType="number-pad"
-            />
-            {errors.year && <Text style={styles.errorText}>{errors.year}</Text>}
-          </View>
+          <TouchableOpacity
+            style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+            onPress={() => submit(onSave)}
+            disabled={saving}
+          >
+            <Text style={styles.saveButtonText}>{saving ? 'Saving...' : submitLabel}</Text>
+          </TouchableOpacity>
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Mileage *</Text>
-            <TextInput
-              style={[styles.input, errors.km && styles.inputError]}
-              value={formData.km}
-              onChangeText={(text) => updateField('km', text)}
-              placeholder="e.g. 50000"
-              placeholderTextColor="#ccc"
-              keyboardType="number-pad"
-            />
-            {errors.km && <Text style={styles.errorText}>{errors.km}</Text>}
-          </View>
+          {onSecondarySave && (
+            <TouchableOpacity
+              style={[styles.secondaryButton, saving && styles.saveButtonDisabled]}
+              onPress={() => submit(onSecondarySave)}
+              disabled={saving}
+            >
+              <Text style={styles.secondaryButtonText}>{secondaryLabel}</Text>
+            </TouchableOpacity>
+          )}
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Price (kr) *</Text>
-            <TextInput
-              style={[styles.input, errors.price && styles.inputError]}
-              value={formData.price}
-              onChangeText={(text) => updateField('price', text)}
-              placeholder="e.g. 250000"
-              placeholderTextColor="#ccc"
-              keyboardType="number-pad"
-            />
-            {errors.price && <Text style={styles.errorText}>{errors.price}</Text>}
-          </View>
+          <View style={{ height: 20 }} />
+        </NestableScrollContainer>
+      </KeyboardAvoidingView>
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Description</Text>
-            <TextInput
-              style={[styles.input, styles.textArea]}
-              value={formData.description}
-              onChangeText={(text) => updateField('description', text)}
-              placeholder="Describe the car, equipment, condition..."
-              placeholderTextColor="#ccc"
-              multiline
-              numberOfLines={4}
-            />
-          </View>
+      <PhotoEditor
+        uri={editingIndex !== null ? formData.images[editingIndex] : null}
+        angle={editingIndex !== null ? formData.imageAngles?.[formData.images[editingIndex]] || '' : ''}
+        onChangeAngle={(angle) => setImageAngle(formData.images[editingIndex], angle)}
+        isCover={editingIndex === 0}
+        onSave={(uri) => {
+          replaceImage(editingIndex, uri);
+          setEditingIndex(null);
+        }}
+        onSetCover={() => {
+          setCoverImage(editingIndex);
+          setEditingIndex(null);
+        }}
+        onRemove={() => {
+          removeImage(editingIndex);
+          setEditingIndex(null);
+        }}
+        onClose={closePhotoEditor}
+      />
+    </SafeAreaView>
+  );
+}
+
+function formatDraftTime(iso) {
+  const date = new Date(iso);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString('nb-NO');
+}
 
-          <Text style={styles.sectionTitle}>Contact Information</Text>
+function DraftNameDialog({ visible, initialName, onSave, onClose }) {
+  const [name, setName] = useState('');
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Name *</Text>
-            <TextInput
-              style={[styles.input, errors.ownerName && styles.inputError]}
-              value={formData.ownerName}
-              onChangeText={(text) => updateField('ownerName', text)}
-              placeholder="Your name"
-              placeholderTextColor="#ccc"
-            />
-            {errors.ownerName && <Text style={styles.errorText}>{errors.ownerName}</Text>}
-          </View>
+  useEffect(() => {
+    if (visible) setName(initialName || '');
+  }, [visible, initialName]);
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Phone *</Text>
-            <TextInput
-              style={[styles.input, errors.ownerPhone && styles.inputError]}
-              value={formData.ownerPhone}
-              onChangeText={(text) => updateField('ownerPhone', text)}
-              placeholder="Your phone number"
-              placeholderTextColor="#ccc"
-              keyboardType="phone-pad"
-            />
-            {errors.ownerPhone && <Text style={styles.errorText}>{errors.ownerPhone}</Text>}
+  return (
+    <Modal visible={visible} animationType="fade" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.dialogBackdrop}
+      >
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Name draft</Text>
+          <Text style={styles.dialogText}>
+            Leave it empty to name the draft after the brand and model.
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="e.g. Dad's Volvo"
+            placeholderTextColor="#ccc"
+            autoFocus
+          />
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity style={styles.dialogButton} onPress={onClose}>
+              <Text style={styles.backButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.dialogButton} onPress={() => onSave(name)}>
+              <Text style={styles.backButtonText}>Save</Text>
+            </TouchableOpacity>
           </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
 
-          <View style={styles.formSection}>
-            <Text style={styles.formLabel}>Email</Text>
-            <TextInput
-              style={[styles.input, errors.ownerEmail && styles.inputError]}
-              value={formData.ownerEmail}
-              onChangeText={(text) => updateField('ownerEmail', text)}
-              placeholder="Your email"
-              placeholderTextColor="#ccc"
-              keyboardType="email-address"
-            />
-            {errors.ownerEmail && <Text style={styles.errorText}>{errors.ownerEmail}</Text>}
+function DraftsSheet({
+  visible,
+  drafts,
+  unpublishedCars,
+  currentDraftId,
+  onResume,
+  onDelete,
+  onOpenCar,
+  onStartNew,
+  onClose,
+}) {
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.sheetBackdrop}>
+        <SafeAreaView style={styles.sheet}>
+          <View style={styles.sheetHeader}>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.backButtonText}>Close</Text>
+            </TouchableOpacity>
+            <Text style={styles.headerTitle}>Drafts</Text>
+            <View style={{ width: 50 }} />
           </View>
+          <ScrollView contentContainerStyle={styles.formContent}>
+            {drafts.length > 0 && (
+              <Text style={styles.dialogText}>Pick up where you left off, or start a new listing.</Text>
+            )}
+            {drafts.map((draft) => (
+              <TouchableOpacity
+                key={draft.id}
+                style={styles.savedSearchItem}
+                onPress={() => onResume(draft)}
+              >
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.savedSearchName}>{draftTitle(draft)}</Text>
+                  <Text style={styles.savedSearchSummary}>
+                    {draft.id === currentDraftId ? 'Open now · ' : ''}
+                    Saved {formatDraftTime(draft.updatedAt)}
+                    {draft.values.images?.length > 0 ? ` · ${draft.values.images.length} photos` : ''}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => onDelete(draft)} style={styles.savedSearchDelete}>
+                  <Text style={styles.removeSavedSearchText}>×</Text>
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))}
 
-          <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
-            <Text style={styles.saveButtonText}>Save Changes</Text>
-          </TouchableOpacity>
+            {unpublishedCars.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Uploaded, not published</Text>
+                {unpublishedCars.map((car) => (
+                  <TouchableOpacity
+                    key={car.id}
+                    style={styles.savedSearchItem}
+                    onPress={() => onOpenCar(car)}
+                  >
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.savedSearchName}>{car.brand} {car.model}</Text>
+                      <Text style={styles.savedSearchSummary}>
+                        Updated {formatDraftTime(car.updatedAt)} · only you can see it
+                      </Text>
+                    </View>
+                  </TouchableOpacity>
+                ))}
+              </>
+            )}
 
-          <View style={{ height: 20 }} />
-        </ScrollView>
-      </KeyboardAvoidingView>
-    </SafeAreaView>
+            <TouchableOpacity style={styles.saveButton} onPress={onStartNew}>
+              <Text style={styles.saveButtonText}>Start a new listing</Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </SafeAreaView>
+      </View>
+    </Modal>
   );
 }
 
-function CarDetailsScreen({ car, user, onBack, onEdit, onDelete }) {
-  const [currentImageIndex, setCurrentImageIndex] = useState(0);
+// The add form autosaves into a local draft (listing-drafts.js) while the
+// seller types. Opening it again offers the saved drafts; a draft can also
+// be uploaded as an unpublished listing.
+function AddCarScreen({ user, onBack, onSave, onSaveUnpublished, onOpenCar }) {
+  const [draft, setDraft] = useState(() => ({ id: newDraftId(), name: '' }));
+  const [initialValues, setInitialValues] = useState(emptyListingForm);
+  const [savedAt, setSavedAt] = useState(null);
+  const [drafts, setDrafts] = useState([]);
+  const [unpublishedCars, setUnpublishedCars] = useState([]);
+  const [showDrafts, setShowDrafts] = useState(false);
+  const [showRename, setShowRename] = useState(false);
+  const draftRef = useRef(draft);
+  draftRef.current = draft;
+  // Latest form values not yet written, and the pending autosave
+  const valuesRef = useRef(null);
+  const timerRef = useRef(null);
+  // Set once the listing is saved, so leaving the screen does not bring
+  // the draft back
+  const doneRef = useRef(false);
 
-  // Check if current user owns this car or is admin
-  const canEdit = user && (car.user_id === user.id || user.is_admin);
+  const persistDraft = useCallback(async () => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    const values = valuesRef.current;
+    if (doneRef.current || !values || isDraftEmpty(values)) return;
+    try {
+      const stored = await saveDraft({
+        id: draftRef.current.id,
+        userId: user.id,
+        name: draftRef.current.name,
+        values,
+      });
+      setSavedAt(stored.updatedAt);
+    } catch (error) {
+      console.error('Error saving draft:', error);
+    }
+  }, [user]);
 
-  const handleScroll = useCallback((e) => {
-    const index = Math.round(e.nativeEvent.contentOffset.x / width);
-    setCurrentImageIndex(index);
-  }, []);
+  const handleValuesChange = useCallback((values) => {
+    valuesRef.current = values;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(persistDraft, DRAFT_AUTOSAVE_MS);
+  }, [persistDraft]);
 
-  const handleCallOwner = () => {
-    if (car.ownerPhone) {
-      Linking.openURL(`tel:${car.ownerPhone}`).catch(() => {
-        Alert.alert('Error', 'Could not make call');
-      });
+  // Write straight away when the app is backgrounded (it may be killed
+  // there) or the screen is left
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') persistDraft();
+    });
+    return () => {
+      subscription.remove();
+      persistDraft();
+    };
+  }, [persistDraft]);
+
+  const loadDrafts = useCallback(async () => {
+    const stored = await listDrafts(user.id);
+    setDrafts(stored);
+    try {
+      setUnpublishedCars(await fetchUnpublishedCars(user.id));
+    } catch (error) {
+      console.error('Error loading unpublished cars:', error);
     }
+    return stored;
+  }, [user]);
+
+  useEffect(() => {
+    loadDrafts().then((stored) => {
+      if (stored.length > 0) setShowDrafts(true);
+    });
+  }, [loadDrafts]);
+
+  const openDrafts = async () => {
+    await persistDraft();
+    await loadDrafts();
+    setShowDrafts(true);
   };
 
-  const handleEmailOwner = () => {
-    if (car.ownerEmail) {
-      Linking.openURL(`mailto:${car.ownerEmail}`).catch(() => {
-        Alert.alert('Error', 'Could not open email');
-      });
+  // ListingForm is keyed by the draft id, so switching drafts remounts it
+  // with the new initial values
+  const switchDraft = (next, values, nextSavedAt) => {
+    valuesRef.current = null;
+    setDraft(next);
+    setInitialValues(values);
+    setSavedAt(nextSavedAt);
+    setShowDrafts(false);
+  };
+
+  const resumeDraft = (stored) => {
+    if (stored.id === draft.id) {
+      setShowDrafts(false);
+      return;
     }
+    switchDraft(
+      { id: stored.id, name: stored.name },
+      { ...emptyListingForm(), ...stored.values },
+      stored.updatedAt
+    );
   };
 
-  return (
-    <SafeAreaView style={styles.container}>
-      <View style={styles.header}>
-        <TouchableOpacity onPress={onBack} style={styles.backButton}>
-          <Text style={styles.backButtonText}>← Back</Text>
-        </TouchableOpacity>
-        <Text style={styles.headerTitle}>Car Details</Text>
-        <View style={{ width: 80 }} />
-      </View>
+  const startNewDraft = () => {
+    switchDraft({ id: newDraftId(), name: '' }, emptyListingForm(), null);
+  };
 
-      <ScrollView style={styles.detailsContainer}>
-        {car.images && car.images.length > 0 ? (
+  const removeDraft = (stored) => {
+    Alert.alert(
+      'Delete draft',
+      `Delete "${draftTitle(stored)}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await deleteDraft(stored.id);
+            if (stored.id === draft.id) {
+              switchDraft({ id: newDraftId(), name: '' }, emptyListingForm(), null);
+              setShowDrafts(true);
+            }
+            await loadDrafts();
+          },
+        },
+      ]
+    );
+  };
+
+  const renameDraft = (name) => {
+    const next = { ...draft, name: name.trim() };
+    draftRef.current = next;
+    setDraft(next);
+    setShowRename(false);
+    persistDraft();
+  };
+
+  // Saves through `save` (which resolves to true on success), then drops
+  // the local draft
+  const finishWith = (save) => async (data) => {
+    clearTimeout(timerRef.current);
+    doneRef.current = true;
+    const saved = await save(data);
+    if (saved) {
+      await deleteDraft(draft.id);
+    } else {
+      doneRef.current = false;
+    }
+  };
+
+  const banner = (
+    <View style={styles.draftBar}>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.draftName} numberOfLines={1}>{draft.name || 'Draft'}</Text>
+        <Text style={styles.metaText}>
+          {savedAt ? `Saved on this device ${formatDraftTime(savedAt)}` : 'Saved automatically as you type'}
+        </Text>
+      </View>
+      <TouchableOpacity onPress={() => setShowRename(true)} style={styles.draftAction}>
+        <Text style={styles.backButtonText}>Rename</Text>
+      </TouchableOpacity>
+      <TouchableOpacity onPress={openDrafts} style={styles.draftAction}>
+        <Text style={styles.backButtonText}>Drafts</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <>
+      <ListingForm
+        key={draft.id}
+        title="Add Car"
+        submitLabel="Save Car"
+        initialValues={initialValues}
+        onBack={onBack}
+        onSave={finishWith(onSave)}
+        banner={banner}
+        onValuesChange={handleValuesChange}
+        secondaryLabel="Upload as unpublished"
+        onSecondarySave={finishWith(onSaveUnpublished)}
+      />
+      <DraftsSheet
+        visible={showDrafts}
+        drafts={drafts}
+        unpublishedCars={unpublishedCars}
+        currentDraftId={draft.id}
+        onResume={resumeDraft}
+        onDelete={removeDraft}
+        onOpenCar={(car) => {
+          setShowDrafts(false);
+          onOpenCar(car);
+        }}
+        onStartNew={startNewDraft}
+        onClose={() => setShowDrafts(false)}
+      />
+      <DraftNameDialog
+        visible={showRename}
+        initialName={draft.name}
+        onSave={renameDraft}
+        onClose={() => setShowRename(false)}
+      />
+    </>
+  );
+}
+
+function EditCarScreen({ car, onBack, onSave }) {
+  return (
+    <ListingForm
+      title="Edit Car"
+      submitLabel="Save Changes"
+      initialValues={listingFormFromCar(car)}
+      onBack={onBack}
+      onSave={onSave}
+    />
+  );
+}
+
+const MAX_ZOOM = 4;
+const DOUBLE_TAP_ZOOM = 2.5;
+// Vertical drag (in points) that closes the gallery
+const DISMISS_DISTANCE = 120;
+
+function clampValue(value, min, max) {
+  'worklet';
+  return Math.min(Math.max(value, min), max);
+}
+
+// One page of PhotoGallery. Pinch and double tap zoom; while zoomed a drag
+// pans the photo, otherwise a vertical drag dismisses the gallery and a
+// horizontal one is left to the pager. `backdrop` is the gallery's
+// background opacity, faded while dragging to dismiss.
+function ZoomablePhoto({ uri, backdrop, onZoomChange, onDismiss }) {
+  const [zoomed, setZoomed] = useState(false);
+  const scale = useSharedValue(1);
+  const savedScale = useSharedValue(1);
+  const translateX = useSharedValue(0);
+  const translateY = useSharedValue(0);
+  const savedX = useSharedValue(0);
+  const savedY = useSharedValue(0);
+  const dismissY = useSharedValue(0);
+
+  const setZoomState = useCallback((value) => {
+    setZoomed(value);
+    onZoomChange(value);
+  }, [onZoomChange]);
+
+  const resetZoom = () => {
+    'worklet';
+    scale.value = withTiming(1);
+    savedScale.value = 1;
+    translateX.value = withTiming(0);
+    translateY.value = withTiming(0);
+    savedX.value = 0;
+    savedY.value = 0;
+  };
+
+  const pinch = Gesture.Pinch()
+    .onUpdate((e) => {
+      scale.value = clampValue(savedScale.value * e.scale, 1, MAX_ZOOM);
+    })
+    .onEnd(() => {
+      if (scale.value <= 1.01) {
+        resetZoom();
+        runOnJS(setZoomState)(false);
+        return;
+      }
+      // Keep the photo covering the screen at the new scale
+      const maxX = (width * (scale.value - 1)) / 2;
+      const maxY = (height * (scale.value - 1)) / 2;
+      translateX.value = withTiming(clampValue(translateX.value, -maxX, maxX));
+      translateY.value = withTiming(clampValue(translateY.value, -maxY, maxY));
+      savedScale.value = scale.value;
+      savedX.value = clampValue(translateX.value, -maxX, maxX);
+      savedY.value = clampValue(translateY.value, -maxY, maxY);
+      runOnJS(setZoomState)(true);
+    });
+
+  const zoomPan = Gesture.Pan()
+    .enabled(zoomed)
+    .averageTouches(true)
+    .onUpdate((e) => {
+      const maxX = (width * (scale.value - 1)) / 2;
+      const maxY = (height * (scale.value - 1)) / 2;
+      translateX.value = clampValue(savedX.value + e.translationX, -maxX, maxX);
+      translateY.value = clampValue(savedY.value + e.translationY, -maxY, maxY);
+    })
+    .onEnd(() => {
+      savedX.value = translateX.value;
+      savedY.value = translateY.value;
+    });
+
+  const dismissPan = Gesture.Pan()
+    .enabled(!zoomed)
+    .activeOffsetY([-15, 15])
+    .failOffsetX([-15, 15])
+    .onUpdate((e) => {
+      dismissY.value = e.translationY;
+      backdrop.value = 1 - Math.min(Math.abs(e.translationY) / height, 0.7);
+    })
+    .onEnd((e) => {
+      if (Math.abs(e.translationY) > DISMISS_DISTANCE || Math.abs(e.velocityY) > 1000) {
+        runOnJS(onDismiss)();
+      } else {
+        dismissY.value = withSpring(0);
+        backdrop.value = withTiming(1);
+      }
+    });
+
+  // Zooms in on the tapped point, or back out when already zoomed
+  const doubleTap = Gesture.Tap()
+    .numberOfTaps(2)
+    .onEnd((e) => {
+      if (scale.value > 1) {
+        resetZoom();
+        runOnJS(setZoomState)(false);
+        return;
+      }
+      const maxX = (width * (DOUBLE_TAP_ZOOM - 1)) / 2;
+      const maxY = (height * (DOUBLE_TAP_ZOOM - 1)) / 2;
+      const x = clampValue((width / 2 - e.x) * (DOUBLE_TAP_ZOOM - 1), -maxX, maxX);
+      const y = clampValue((height / 2 - e.y) * (DOUBLE_TAP_ZOOM - 1), -maxY, maxY);
+      scale.value = withTiming(DOUBLE_TAP_ZOOM);
+      translateX.value = withTiming(x);
+      translateY.value = withTiming(y);
+      savedScale.value = DOUBLE_TAP_ZOOM;
+      savedX.value = x;
+      savedY.value = y;
+      runOnJS(setZoomState)(true);
+    });
+
+  const gesture = Gesture.Race(doubleTap, Gesture.Simultaneous(pinch, zoomPan, dismissPan));
+
+  const animatedStyle = useAnimatedStyle(() => ({
+    transform: [
+      { translateX: translateX.value },
+      { translateY: translateY.value + dismissY.value },
+      { scale: scale.value },
+    ],
+  }));
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <View style={styles.galleryPage}>
+        <Animated.Image
+          source={{ uri }}
+          style={[styles.galleryImage, animatedStyle]}
+          resizeMode="contain"
+        />
+      </View>
+    </GestureDetector>
+  );
+}
+
+/**
+ * Full-screen photo viewer opened from the details carousel: swipe between
+ * photos, pinch or double tap to zoom, swipe down to close. `index` is the
+ * photo to open (null hides it); `onClose(lastIndex)` gets the photo that
+ * was showing.
+ */
+function PhotoGallery({ images, angles, index, onClose }) {
+  const [current, setCurrent] = useState(index || 0);
+  const [zoomed, setZoomed] = useState(false);
+  const currentRef = useRef(current);
+  currentRef.current = current;
+  const backdrop = useSharedValue(1);
+
+  useEffect(() => {
+    if (index === null) return;
+    setCurrent(index);
+    setZoomed(false);
+    backdrop.value = 1;
+  }, [index]);
+
+  const backdropStyle = useAnimatedStyle(() => ({ opacity: backdrop.value }));
+
+  const close = useCallback(() => onClose(currentRef.current), [onClose]);
+
+  return (
+    <Modal
+      visible={index !== null}
+      transparent
+      animationType="fade"
+      statusBarTranslucent
+      onRequestClose={close}
+    >
+      {/* Modals render outside the app's root view, so gestures need their own */}
+      <GestureHandlerRootView style={{ flex: 1 }}>
+        <Animated.View style={[styles.galleryBackdrop, backdropStyle]} />
+        {index !== null && (
+          <GestureFlatList
+            horizontal
+            pagingEnabled
+            data={images}
+            keyExtractor={(uri, i) => `${i}-${uri}`}
+            initialScrollIndex={index}
+            getItemLayout={(_, i) => ({ length: width, offset: width * i, index: i })}
+            scrollEnabled={!zoomed}
+            showsHorizontalScrollIndicator={false}
+            onMomentumScrollEnd={(e) => setCurrent(Math.round(e.nativeEvent.contentOffset.x / width))}
+            renderItem={({ item }) => (
+              <ZoomablePhoto
+                uri={item}
+                backdrop={backdrop}
+                onZoomChange={setZoomed}
+                onDismiss={close}
+              />
+            )}
+          />
+        )}
+        <SafeAreaView style={styles.galleryHeader} pointerEvents="box-none">
+          <Text style={styles.galleryCounter}>
+            {current + 1} / {images.length}
+            {angles?.[current] ? `  ·  ${shotLabel(angles[current])}` : ''}
+          </Text>
+          <TouchableOpacity onPress={close} style={styles.galleryClose}>
+            <Text style={styles.cameraButtonText}>Close</Text>
+          </TouchableOpacity>
+        </SafeAreaView>
+      </GestureHandlerRootView>
+    </Modal>
+  );
+}
+
+function ReportDialog({ visible, onSubmit, onClose }) {
+  const [reason, setReason] = useState(null);
+  const [note, setNote] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setReason(null);
+    setNote('');
+  }, [visible]);
+
+  // "Other" needs a note to be actionable
+  const canSend = reason && (reason !== 'other' || note.trim()) && !sending;
+
+  const submit = async () => {
+    setSending(true);
+    try {
+      const sent = await onSubmit({ reason, note });
+      if (sent) onClose();
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="fade" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.dialogBackdrop}
+      >
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>Report listing</Text>
+          <Text style={styles.dialogText}>
+            What is wrong with this listing? The seller won't see who reported it.
+          </Text>
+          <View style={styles.chipWrap}>
+            {REPORT_REASONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.chip, reason === option.value && styles.chipSelected]}
+                onPress={() => setReason(option.value)}
+              >
+                <Text style={[styles.chipText, reason === option.value && styles.chipTextSelected]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={[styles.input, styles.textArea, styles.reportNote]}
+            value={note}
+            onChangeText={setNote}
+            placeholder="Anything that helps us check it (optional)"
+            placeholderTextColor="#ccc"
+            multiline
+            maxLength={1000}
+          />
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity style={styles.dialogButton} onPress={onClose}>
+              <Text style={styles.backButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.dialogButton} onPress={submit} disabled={!canSend}>
+              <Text style={[styles.backButtonText, !canSend && styles.disabledText]}>
+                {sending ? 'Sending...' : 'Send report'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+// `initialCar` is the car from the loaded feed, if it is there; otherwise
+// (deep links, saved cars) it is fetched by `carId`. Without a `user` this is
+// the read-only public listing that shared links open.
+function CarDetailsScreen({
+  carId,
+  initialCar,
+  user,
+  favoriteIds,
+  onToggleFavorite,
+  onMessageSeller,
+  onBack,
+  onEdit,
+  onDelete,
+  onChangeStatus,
+  onRenew,
+  onReport,
+}) {
+  const [car, setCar] = useState(initialCar || null);
+  const [showReport, setShowReport] = useState(false);
+  const [updatingStatus, setUpdatingStatus] = useState(false);
+  const [loadingCar, setLoadingCar] = useState(!initialCar);
+  // Realtime change to this car while it is open:
+  // { type: 'updated', car } or { type: 'removed' }
+  const [listingChange, setListingChange] = useState(null);
+  const [currentImageIndex, setCurrentImageIndex] = useState(0);
+  // Photo open in the full-screen gallery, or null
+  const [galleryIndex, setGalleryIndex] = useState(null);
+  const carouselRef = useRef(null);
+  // Every price the car has had, oldest first
+  const [priceHistory, setPriceHistory] = useState([]);
+  const removed = listingChange?.type === 'removed';
+
+  useEffect(() => {
+    if (initialCar) return;
+    let cancelled = false;
+    (user ? fetchCarById(carId) : fetchPublicCar(carId))
+      .then((found) => {
+        if (!cancelled) setCar(found);
+      })
+      .catch((error) => console.error('Error loading car:', error))
+      .finally(() => {
+        if (!cancelled) setLoadingCar(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [carId]);
+
+  // Reloaded whenever the shown price changes; signed-out visitors only see
+  // the current drop
+  const shownPrice = car?.price;
+  useEffect(() => {
+    if (!user || !car) return;
+    let cancelled = false;
+    fetchPriceHistory(car.id)
+      .then((history) => {
+        if (!cancelled) setPriceHistory(history);
+      })
+      .catch((error) => console.error('Error loading price history:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [user, car?.id, shownPrice]);
+
+  const shownUpdatedAt = car?.updatedAt;
+  useEffect(() => {
+    if (!user) return;
+    return subscribeToCars((change) => {
+      if (String(change.id) !== String(carId)) return;
+      if (change.type === 'DELETE') {
+        setListingChange({ type: 'removed' });
+      } else if (change.car.updatedAt !== shownUpdatedAt) {
+        setListingChange({ type: 'updated', car: change.car });
+      }
+    });
+  }, [user, carId, shownUpdatedAt]);
+
+  const handleScroll = useCallback((e) => {
+    const index = Math.round(e.nativeEvent.contentOffset.x / width);
+    setCurrentImageIndex(index);
+  }, []);
+
+  // The carousel follows the photo the gallery was closed on
+  const closeGallery = (lastIndex) => {
+    setGalleryIndex(null);
+    carouselRef.current?.scrollTo({ x: lastIndex * width, animated: false });
+    setCurrentImageIndex(lastIndex);
+  };
+
+  const showLatest = () => {
+    setCar(listingChange.car);
+    setListingChange(null);
+  };
+
+  const handleShare = async () => {
+    try {
+      await shareCar(car);
+    } catch (error) {
+      Alert.alert('Error', 'Could not share this car');
+    }
+  };
+
+  const runStatusChange = async (change) => {
+    setUpdatingStatus(true);
+    try {
+      const updated = await change();
+      if (updated) setCar(updated);
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
+  const changeStatus = (status) => {
+    if (status !== 'sold') {
+      runStatusChange(() => onChangeStatus(car, status));
+      return;
+    }
+    Alert.alert(
+      'Mark as sold',
+      'The listing leaves the feed but stays viewable by link.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Mark sold', onPress: () => runStatusChange(() => onChangeStatus(car, 'sold')) },
+      ]
+    );
+  };
+
+  const renew = () => runStatusChange(() => onRenew(car));
+
+  if (!car) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onBack} style={styles.backButton}>
+            <Text style={styles.backButtonText}>← Back</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Car Details</Text>
+        </View>
+        <View style={styles.emptyState}>
+          {loadingCar ? (
+            <ActivityIndicator color="#007AFF" />
+          ) : (
+            <Text style={styles.emptyText}>This listing is no longer available</Text>
+          )}
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  // Check if current user owns this car or is admin
+  const canEdit = user && (car.userId === user.id || user.is_admin) && !removed;
+  const isDraft = car.status === 'draft';
+  const expiresIn = daysUntilExpiry(car);
+  // Going back up for sale after expiry is a renewal (a new listing period)
+  const statusActions = (STATUS_TRANSITIONS[car.status] || [])
+    .filter((status) => !(car.status === 'expired' && status === 'active'));
+  const statusNotice = {
+    draft: 'Not published. Only you can see this listing.',
+    reserved: 'This car is reserved.',
+    sold: 'This car has been sold.',
+    expired: 'This listing has expired.',
+  }[car.status];
+  const specs = listingSpecs(car);
+
+  const handleCallOwner = () => {
+    if (car.ownerPhone) {
+      Linking.openURL(`tel:${car.ownerPhone}`).catch(() => {
+        Alert.alert('Error', 'Could not make call');
+      });
+    }
+  };
+
+  const handleEmailOwner = () => {
+    if (car.ownerEmail) {
+      Linking.openURL(`mailto:${car.ownerEmail}`).catch(() => {
+        Alert.alert('Error', 'Could not open email');
+      });
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Car Details</Text>
+        <View style={styles.headerActions}>
+          {!car.pendingId && !isDraft && (
+            <TouchableOpacity onPress={handleShare} style={styles.shareButton}>
+              <Text style={styles.backButtonText}>Share</Text>
+            </TouchableOpacity>
+          )}
+          {user && !car.pendingId && !isDraft && (
+            <FavoriteButton active={favoriteIds.has(car.id)} onPress={() => onToggleFavorite(car)} />
+          )}
+        </View>
+      </View>
+
+      {listingChange && (
+        <View style={[styles.listingNotice, removed && styles.listingNoticeRemoved]}>
+          <Text style={styles.listingNoticeText}>
+            {removed
+              ? 'This listing has been removed.'
+              : 'This listing was updated.'}
+          </Text>
+          {!removed && (
+            <TouchableOpacity onPress={showLatest}>
+              <Text style={styles.listingNoticeAction}>Show latest</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {car.hiddenAt && !removed && (
+        <View style={[styles.listingNotice, styles.listingNoticeRemoved]}>
+          <Text style={styles.listingNoticeText}>
+            Hidden by a moderator. Only the seller and admins can see this listing.
+          </Text>
+        </View>
+      )}
+
+      {statusNotice && !removed && (
+        <View style={[styles.listingNotice, styles[`statusNotice_${car.status}`]]}>
+          <Text style={styles.listingNoticeText}>{statusNotice}</Text>
+        </View>
+      )}
+
+      <ScrollView style={styles.detailsContainer}>
+        {car.images && car.images.length > 0 ? (
           <View>
             <ScrollView
+              ref={carouselRef}
               horizontal
               pagingEnabled
               showsHorizontalScrollIndicator={false}
@@ -1208,11 +3382,14 @@ function CarDetailsScreen({ car, user, onBack, onEdit, onDelete }) {
               scrollEventThrottle={16}
             >
               {car.images.map((uri, index) => (
-                <Image
-                  key={index}
-                  source={{ uri }}
-                  style={styles.detailImage}
-                />
+                <TouchableOpacity key={index} activeOpacity={0.9} onPress={() => setGalleryIndex(index)}>
+                  <Image source={{ uri }} style={styles.detailImage} />
+                  {car.imageAngles?.[index] ? (
+                    <View style={styles.detailAngle}>
+                      <Text style={styles.coverBadgeText}>{shotLabel(car.imageAngles[index])}</Text>
+                    </View>
+                  ) : null}
+                </TouchableOpacity>
               ))}
             </ScrollView>
             {car.images.length > 1 && (
@@ -1249,11 +3426,47 @@ function CarDetailsScreen({ car, user, onBack, onEdit, onDelete }) {
             </View>
           </View>
 
+          {specs.length > 0 && (
+            <View style={styles.specGrid}>
+              {specs.map((spec) => (
+                <View key={spec.name} style={styles.specItem}>
+                  <Text style={styles.detailLabel}>{spec.label}</Text>
+                  <Text style={styles.specValue}>{spec.value}</Text>
+                </View>
+              ))}
+            </View>
+          )}
+
           <View style={styles.priceContainer}>
             <Text style={styles.priceLabel}>Price</Text>
             <Text style={styles.priceValue}>{parseInt(car.price || 0).toLocaleString('nb-NO')} kr</Text>
+            {priceDropText(car) && (
+              <Text style={styles.priceDropText}>↓ {priceDropText(car)}</Text>
+            )}
           </View>
 
+          {priceHistory.length > 1 && (
+            <View style={styles.priceHistory}>
+              <Text style={styles.descriptionLabel}>Price history</Text>
+              {priceHistory.slice().reverse().map((entry, index, newestFirst) => {
+                const previous = newestFirst[index + 1];
+                const change = previous ? entry.price - previous.price : 0;
+                return (
+                  <View key={entry.id} style={styles.priceHistoryRow}>
+                    <View style={[styles.priceHistoryDot, index === 0 && styles.priceHistoryDotCurrent]} />
+                    <Text style={styles.priceHistoryDate}>
+                      {new Date(entry.changedAt).toLocaleDateString('nb-NO')}
+                    </Text>
+                    <Text style={styles.priceHistoryPrice}>{entry.price.toLocaleString('nb-NO')} kr</Text>
+                    <Text style={[styles.priceHistoryChange, change < 0 && styles.priceHistoryChangeDown]}>
+                      {!previous ? 'Listed' : `${change > 0 ? '+' : '−'}${Math.abs(change).toLocaleString('nb-NO')} kr`}
+                    </Text>
+                  </View>
+                );
+              })}
+            </View>
+          )}
+
           {car.description && (
             <View style={styles.descriptionContainer}>
               <Text style={styles.descriptionLabel}>Description</Text>
@@ -1268,21 +3481,42 @@ function CarDetailsScreen({ car, user, onBack, onEdit, onDelete }) {
               <Text style={styles.contactLabel}>Name:</Text>
               <Text style={styles.contactValue}>{car.ownerName}</Text>
             </View>
-            
-            <View style={styles.contactItem}>
-              <Text style={styles.contactLabel}>Phone:</Text>
-              <TouchableOpacity onPress={handleCallOwner}>
-                <Text style={styles.contactValueLink}>{car.ownerPhone}</Text>
-              </TouchableOpacity>
-            </View>
 
-            {car.ownerEmail && (
-              <View style={styles.contactItem}>
-                <Text style={styles.contactLabel}>Email:</Text>
-                <TouchableOpacity onPress={handleEmailOwner}>
-                  <Text style={styles.contactValueLink}>{car.ownerEmail}</Text>
+            {!user ? (
+              <View style={styles.signInPrompt}>
+                <Text style={styles.metaText}>Sign in to see the seller's contact details.</Text>
+                {Platform.OS === 'web' && (
+                  <TouchableOpacity
+                    style={styles.messageButton}
+                    onPress={() => Linking.openURL(carAppUrl(car.id))}
+                  >
+                    <Text style={styles.messageButtonText}>Open in the Billager app</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity style={styles.messageButton} onPress={onBack}>
+                  <Text style={styles.messageButtonText}>Sign in</Text>
                 </TouchableOpacity>
               </View>
+            ) : (
+              <>
+                {!!car.ownerPhone && (
+                  <View style={styles.contactItem}>
+                    <Text style={styles.contactLabel}>Phone:</Text>
+                    <TouchableOpacity onPress={handleCallOwner}>
+                      <Text style={styles.contactValueLink}>{car.ownerPhone}</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+
+                {car.ownerEmail && (
+                  <View style={styles.contactItem}>
+                    <Text style={styles.contactLabel}>Email:</Text>
+                    <TouchableOpacity onPress={handleEmailOwner}>
+                      <Text style={styles.contactValueLink}>{car.ownerEmail}</Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </>
             )}
           </View>
 
@@ -1290,138 +3524,884 @@ function CarDetailsScreen({ car, user, onBack, onEdit, onDelete }) {
             <Text style={styles.metaText}>
               Posted: {new Date(car.createdAt).toLocaleDateString('nb-NO')}
             </Text>
-            {car.updatedAt !== car.createdAt && (
+            {car.updatedAt && car.updatedAt !== car.createdAt && (
               <Text style={styles.metaText}>
                 Updated: {new Date(car.updatedAt).toLocaleDateString('nb-NO')}
               </Text>
             )}
           </View>
 
-          <View style={styles.contactButtonsRow}>
-            <TouchableOpacity style={styles.callButton} onPress={handleCallOwner}>
-              <Text style={styles.callButtonText}>Call</Text>
+          {user && car.userId !== user.id && !removed && (
+            <TouchableOpacity style={styles.messageButton} onPress={() => onMessageSeller(car)}>
+              <Text style={styles.messageButtonText}>Message seller</Text>
             </TouchableOpacity>
-            {car.ownerEmail && (
-              <TouchableOpacity style={styles.emailButton} onPress={handleEmailOwner}>
-                <Text style={styles.emailButtonText}>Email</Text>
-              </TouchableOpacity>
-            )}
-          </View>
+          )}
 
-          {canEdit && (
-            <View style={styles.actionButtons}>
-              <TouchableOpacity style={styles.editButton} onPress={onEdit}>
-                <Text style={styles.editButtonText}>Edit</Text>
-              </TouchableOpacity>
-              <TouchableOpacity style={styles.deleteButton} onPress={onDelete}>
-                <Text style={styles.deleteButtonText}>Delete</Text>
-              </TouchableOpacity>
+          {user && car.userId !== user.id && !removed && !car.pendingId && (
+            <TouchableOpacity style={styles.reportButton} onPress={() => setShowReport(true)}>
+              <Text style={styles.reportButtonText}>⚑ Report listing</Text>
+            </TouchableOpacity>
+          )}
+
+          {/* Signed-out visitors get the sign-in prompt above instead */}
+          {user && !!(car.ownerPhone || car.ownerEmail) && (
+            <View style={styles.contactButtonsRow}>
+              {!!car.ownerPhone && (
+                <TouchableOpacity style={styles.callButton} onPress={handleCallOwner}>
+                  <Text style={styles.callButtonText}>Call</Text>
+                </TouchableOpacity>
+              )}
+              {!!car.ownerEmail && (
+                <TouchableOpacity style={styles.emailButton} onPress={handleEmailOwner}>
+                  <Text style={styles.emailButtonText}>Email</Text>
+                </TouchableOpacity>
+              )}
             </View>
           )}
-        </View>
-      </ScrollView>
-    </SafeAreaView>
-  );
-}
 
-function AdminPanel({ user, onBack }) {
-  const [users, setUsers] = useState([]);
-  const [cars, setCars] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [activeTab, setActiveTab] = useState('users');
+          {canEdit && !car.pendingId && (
+            <View style={styles.statusControl}>
+              <Text style={styles.descriptionLabel}>Listing status</Text>
+              <Text style={styles.statusCurrent}>
+                {statusLabel(car.status)}
+                {expiresIn !== null && ` · expires ${expiresIn === 0 ? 'today' : `in ${expiresIn} day${expiresIn === 1 ? '' : 's'}`}`}
+              </Text>
+              <View style={styles.chipWrap}>
+                {statusActions.map((status) => (
+                  <TouchableOpacity
+                    key={status}
+                    style={[styles.chip, updatingStatus && styles.addImageButtonDisabled]}
+                    onPress={() => changeStatus(status)}
+                    disabled={updatingStatus}
+                  >
+                    <Text style={styles.chipText}>{statusActionLabel(car.status, status)}</Text>
+                  </TouchableOpacity>
+                ))}
+                {canRenew(car) && (
+                  <TouchableOpacity
+                    style={[styles.chip, styles.chipSelected, updatingStatus && styles.addImageButtonDisabled]}
+                    onPress={renew}
+                    disabled={updatingStatus}
+                  >
+                    <Text style={[styles.chipText, styles.chipTextSelected]}>Renew</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          )}
+
+          {canEdit && (
+            <View style={styles.actionButtons}>
+              <TouchableOpacity style={styles.editButton} onPress={() => onEdit(car)}>
+                <Text style={styles.editButtonText}>Edit</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.deleteButton} onPress={() => onDelete(car)}>
+                <Text style={styles.deleteButtonText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      </ScrollView>
+
+      <PhotoGallery
+        images={car.images}
+        angles={car.imageAngles}
+        index={galleryIndex}
+        onClose={closeGallery}
+      />
+
+      <ReportDialog
+        visible={showReport}
+        onSubmit={(report) => onReport(car, report)}
+        onClose={() => setShowReport(false)}
+      />
+    </SafeAreaView>
+  );
+}
+
+function formatMessageTime(iso) {
+  const date = new Date(iso);
+  const today = new Date();
+  if (date.toDateString() === today.toDateString()) {
+    return date.toLocaleTimeString('nb-NO', { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString('nb-NO');
+}
+
+function InboxScreen({ user, onBack, onOpenConversation }) {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadConversations = useCallback(async () => {
+    try {
+      setConversations(await fetchConversations(user.id));
+    } catch (error) {
+      Alert.alert('Error', 'Could not load messages: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    loadConversations();
+    return subscribeToMessages(() => loadConversations());
+  }, [loadConversations]);
+
+  // Sellers see their threads grouped by car, purchases go in one section
+  const sections = useMemo(() => {
+    const byCar = new Map();
+    const buying = [];
+    conversations.forEach((conversation) => {
+      if (conversation.sellerId === user.id) {
+        const key = conversation.carId || `removed:${conversation.id}`;
+        if (!byCar.has(key)) {
+          byCar.set(key, { title: conversation.carTitle, removed: conversation.carRemoved, data: [] });
+        }
+        byCar.get(key).data.push(conversation);
+      } else {
+        buying.push(conversation);
+      }
+    });
+
+    const result = [...byCar.values()];
+    if (buying.length > 0) result.push({ title: 'Cars you asked about', data: buying });
+    return result;
+  }, [conversations, user]);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Messages</Text>
+        <View style={{ width: 80 }} />
+      </View>
+
+      {loading ? (
+        <View style={styles.adminLoading}>
+          <ActivityIndicator color="#007AFF" />
+        </View>
+      ) : (
+        <SectionList
+          sections={sections}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={sections.length === 0 ? styles.emptyListContent : styles.listContent}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.inboxSectionTitle}>
+              {section.title}{section.removed ? ' (removed)' : ''}
+            </Text>
+          )}
+          renderItem={({ item }) => {
+            const isSeller = item.sellerId === user.id;
+            return (
+              <TouchableOpacity style={styles.conversationRow} onPress={() => onOpenConversation(item)}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.conversationName}>
+                    {isSeller ? item.buyerName : item.sellerName}
+                  </Text>
+                  {!isSeller && <Text style={styles.conversationCar}>{item.carTitle}</Text>}
+                </View>
+                <Text style={styles.conversationTime}>{formatMessageTime(item.lastMessageAt)}</Text>
+                {item.unreadCount > 0 && (
+                  <View style={styles.countBadge}>
+                    <Text style={styles.countBadgeText}>{item.unreadCount}</Text>
+                  </View>
+                )}
+              </TouchableOpacity>
+            );
+          }}
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Text style={styles.emptyText}>No messages yet</Text>
+              <Text style={styles.emptySubtext}>Message a seller from any car listing</Text>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+function ChatScreen({ user, conversation, onBack }) {
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const listRef = useRef(null);
+
+  const markRead = useCallback(() => {
+    markConversationRead(conversation.id, user.id).catch((error) => {
+      console.error('Error marking messages read:', error);
+    });
+  }, [conversation, user]);
+
+  useEffect(() => {
+    fetchMessages(conversation.id)
+      .then((loaded) => {
+        setMessages(loaded);
+        markRead();
+      })
+      .catch((error) => Alert.alert('Error', 'Could not load messages: ' + error.message));
+
+    return subscribeToMessages((payload) => {
+      const row = payload.new;
+      if (!row?.id) return;
+      setMessages(prev => {
+        const index = prev.findIndex((m) => m.id === row.id);
+        const message = messageFromRow(row);
+        if (index === -1) return [...prev, message];
+        const next = [...prev];
+        next[index] = message;
+        return next;
+      });
+      if (payload.eventType === 'INSERT' && row.sender_id !== user.id) {
+        markRead();
+      }
+    }, conversation.id);
+  }, [conversation, user, markRead]);
+
+  const handleSend = useCallback(async () => {
+    if (!draft.trim()) return;
+    setSending(true);
+    try {
+      const message = await sendMessage(conversation.id, user.id, draft);
+      setMessages(prev => (prev.some((m) => m.id === message.id) ? prev : [...prev, message]));
+      setDraft('');
+    } catch (error) {
+      Alert.alert('Error', 'Could not send message: ' + error.message);
+    } finally {
+      setSending(false);
+    }
+  }, [conversation, user, draft]);
+
+  const otherName = conversation.sellerId === user.id ? conversation.buyerName : conversation.sellerName;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={onBack} style={styles.backButton}>
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <View style={styles.chatHeaderTitle}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{otherName}</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>
+            {conversation.carTitle}{conversation.carRemoved ? ' (removed)' : ''}
+          </Text>
+        </View>
+        <View style={{ width: 80 }} />
+      </View>
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={{ flex: 1 }}
+      >
+        <FlatList
+          ref={listRef}
+          data={messages}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.chatContent}
+          onContentSizeChange={() => listRef.current?.scrollToEnd({ animated: false })}
+          renderItem={({ item }) => {
+            const mine = item.senderId === user.id;
+            return (
+              <View style={[styles.messageBubble, mine ? styles.messageMine : styles.messageTheirs]}>
+                <Text style={[styles.messageText, mine && styles.messageTextMine]}>{item.body}</Text>
+                <Text style={[styles.messageTime, mine && styles.messageTimeMine]}>
+                  {formatMessageTime(item.createdAt)}{mine && item.readAt ? ' · Read' : ''}
+                </Text>
+              </View>
+            );
+          }}
+        />
+        <View style={styles.chatInputRow}>
+          <TextInput
+            style={[styles.input, styles.chatInput]}
+            value={draft}
+            onChangeText={setDraft}
+            placeholder="Write a message..."
+            placeholderTextColor="#ccc"
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.chatSendButton, (sending || !draft.trim()) && styles.saveButtonDisabled]}
+            onPress={handleSend}
+            disabled={sending || !draft.trim()}
+          >
+            <Text style={styles.saveButtonText}>Send</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+// Copy for the admin actions that ask for a reason or message
+const REASON_DIALOGS = {
+  warn: {
+    title: 'Warn seller',
+    text: 'The seller gets this message in the app.',
+    placeholder: 'What the seller needs to fix',
+    confirmLabel: 'Send warning',
+    required: true,
+  },
+  hide: {
+    title: 'Hide listing',
+    text: 'The listing leaves the feed and its link. The seller is told why, and everyone who reported it gets an update.',
+    placeholder: 'Reason for the seller (optional)',
+    confirmLabel: 'Hide',
+    required: false,
+  },
+  suspend: {
+    title: 'Suspend account',
+    text: "The user is signed out, can't sign in again and their listings are hidden until you unsuspend them.",
+    placeholder: 'Reason (shown to the user)',
+    confirmLabel: 'Suspend',
+    required: true,
+  },
+};
+
+function ReasonDialog({ dialog, onSubmit, onClose }) {
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (dialog) setMessage('');
+  }, [dialog]);
+
+  const canSend = (!dialog?.required || message.trim()) && !sending;
+
+  const submit = async () => {
+    setSending(true);
+    try {
+      await onSubmit(message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Modal visible={Boolean(dialog)} animationType="fade" transparent onRequestClose={onClose}>
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.dialogBackdrop}
+      >
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>{dialog?.title}</Text>
+          <Text style={styles.dialogText}>{dialog?.text}</Text>
+          <TextInput
+            style={[styles.input, styles.textArea]}
+            value={message}
+            onChangeText={setMessage}
+            placeholder={dialog?.placeholder}
+            placeholderTextColor="#ccc"
+            multiline
+            autoFocus
+          />
+          <View style={styles.dialogButtons}>
+            <TouchableOpacity style={styles.dialogButton} onPress={onClose}>
+              <Text style={styles.backButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.dialogButton} onPress={submit} disabled={!canSend}>
+              <Text style={[styles.backButtonText, !canSend && styles.disabledText]}>
+                {dialog?.confirmLabel}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const AdminCheckbox = ({ checked, onPress }) => (
+  <TouchableOpacity onPress={onPress} style={styles.adminCheckbox}>
+    <Text style={[styles.adminCheckboxText, checked && styles.adminCheckboxTextChecked]}>
+      {checked ? '☑' : '☐'}
+    </Text>
+  </TouchableOpacity>
+);
+
+function AdminPanel({ user, onBack, onOpenCar }) {
+  const [activeTab, setActiveTab] = useState('users');
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [userFilter, setUserFilter] = useState('all');
+  const [carFilter, setCarFilter] = useState('all');
+  const [reportStatus, setReportStatus] = useState('open');
+  const [auditAction, setAuditAction] = useState('all');
+  const [auditPeriod, setAuditPeriod] = useState('all');
+  const [users, setUsers] = useState([]);
+  const [cars, setCars] = useState([]);
+  const [reports, setReports] = useState([]);
+  // Shown on the Reports tab from the start, whichever tab is open
+  const [openReportCount, setOpenReportCount] = useState(0);
+  const [auditEntries, setAuditEntries] = useState([]);
+  // Audit entry whose row snapshot is expanded
+  const [expandedEntryId, setExpandedEntryId] = useState(null);
+  // Rows matching the search and filter on the server, per paginated tab
+  const [totals, setTotals] = useState({ users: 0, cars: 0, audit: 0 });
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Ids ticked on the current tab for a bulk action
+  const [selected, setSelected] = useState(new Set());
+  // { type: 'warn' | 'hide' | 'suspend', report, target } while a reason is asked for
+  const [pendingAction, setPendingAction] = useState(null);
+  const pageRef = useRef(0);
+  // Bumped on every fresh load so late pages for an old query are dropped
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(search), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [search]);
 
   useEffect(() => {
     loadData();
-  }, [activeTab]);
+  }, [activeTab, debouncedSearch, userFilter, carFilter, reportStatus, auditAction, auditPeriod]);
+
+  const refreshOpenReportCount = async () => {
+    try {
+      setOpenReportCount(await countOpenReports());
+    } catch (error) {
+      console.error('Error counting reports:', error);
+    }
+  };
+
+  useEffect(() => {
+    refreshOpenReportCount();
+  }, []);
+
+  const fetchPage = (page) => {
+    if (activeTab === 'users') {
+      return fetchAdminUsers({ search: debouncedSearch, filter: userFilter, page });
+    }
+    if (activeTab === 'audit') {
+      return fetchAuditLog({ actor: debouncedSearch, action: auditAction, period: auditPeriod, page });
+    }
+    return fetchAdminCars({ search: debouncedSearch, filter: carFilter, page });
+  };
+
+  const applyPage = (page, append) => {
+    if (activeTab === 'users') {
+      setUsers((prev) => (append ? appendPage(prev, page.users) : page.users));
+    } else if (activeTab === 'audit') {
+      setAuditEntries((prev) => (append ? appendPage(prev, page.entries) : page.entries));
+    } else {
+      setCars((prev) => (append ? appendPage(prev, page.cars) : page.cars));
+    }
+    setTotals((prev) => ({ ...prev, [activeTab]: page.total }));
+    setHasMore(page.hasMore);
+  };
 
   const loadData = async () => {
+    const requestId = ++requestRef.current;
     setLoading(true);
+    setSelected(new Set());
     try {
-      if (activeTab === 'users') {
-        const { data, error } = await supabase
-          .from('users')
-          .select('*')
-          .order('created_at', { ascending: false });
-        if (!error) setUsers(data || []);
+      if (activeTab === 'reports') {
+        const found = await fetchReports(reportStatus);
+        if (requestId !== requestRef.current) return;
+        setReports(found);
+        setHasMore(false);
+        refreshOpenReportCount();
       } else {
-        const { data, error } = await supabase
-          .from('cars')
-          .select('*')
-          .order('created_at', { ascending: false });
-        if (!error) setCars(data || []);
+        const page = await fetchPage(0);
+        if (requestId !== requestRef.current) return;
+        pageRef.current = 0;
+        applyPage(page, false);
       }
     } catch (error) {
+      console.error('Error loading admin data:', error);
       Alert.alert('Error', 'Could not load data');
     } finally {
-      setLoading(false);
+      if (requestId === requestRef.current) setLoading(false);
+    }
+  };
+
+  const loadMore = async () => {
+    if (loading || loadingMore || !hasMore || activeTab === 'reports') return;
+    const requestId = requestRef.current;
+    setLoadingMore(true);
+    try {
+      const page = await fetchPage(pageRef.current + 1);
+      if (requestId !== requestRef.current) return;
+      pageRef.current += 1;
+      applyPage(page, true);
+    } catch (error) {
+      console.error('Error loading more admin data:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const switchTab = (tab) => {
+    setActiveTab(tab);
+    setSearch('');
+    setDebouncedSearch('');
+  };
+
+  const toggleSelected = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  // Runs an admin action and reloads the tab; failures are shown but the
+  // tab still reloads, since part of a bulk action may have gone through
+  const runAction = async (action, errorMessage) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      Alert.alert('Error', `${errorMessage}: ${error.message}`);
     }
+    loadData();
+  };
+
+  const confirmAction = (title, message, confirmLabel, action, errorMessage) => {
+    Alert.alert(title, message, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: confirmLabel, style: 'destructive', onPress: () => runAction(action, errorMessage) },
+    ]);
   };
 
-  const deleteUser = async (userId) => {
-    if (userId === user.id) {
+  const deleteUser = (target) => {
+    if (target.id === user.id) {
       Alert.alert('Error', 'You cannot delete your own account');
       return;
     }
-    
-    Alert.alert(
+    confirmAction(
       'Delete User',
       'Are you sure? This will delete the user and all their cars.',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              const { error } = await supabase
-                .from('users')
-                .delete()
-                .eq('id', userId);
-              
-              if (error) {
-                Alert.alert('Error', error.message);
-              } else {
-                loadData();
-              }
-            } catch (error) {
-              Alert.alert('Error', 'Could not delete user');
-            }
-          },
-        },
-      ]
+      'Delete',
+      () => deleteUserAccount(target.id),
+      'Could not delete user'
     );
   };
 
-  const deleteCar = async (carId) => {
-    Alert.alert(
+  const toggleAdmin = (target) => {
+    const makeAdmin = !target.is_admin;
+    confirmAction(
+      makeAdmin ? 'Make admin' : 'Remove admin',
+      makeAdmin
+        ? `${target.username} will be able to moderate and delete any user or listing.`
+        : `${target.username} will lose access to the admin panel.`,
+      makeAdmin ? 'Make admin' : 'Remove',
+      () => setUserAdmin(target.id, makeAdmin),
+      'Could not change role'
+    );
+  };
+
+  const unsuspendUser = (target) => {
+    confirmAction(
+      'Unsuspend account',
+      `${target.username} can sign in again and their listings come back.`,
+      'Unsuspend',
+      () => setUserSuspended(target.id, false),
+      'Could not unsuspend user'
+    );
+  };
+
+  const deleteCar = (car) => {
+    confirmAction(
       'Delete Car',
       'Are you sure you want to delete this car?',
+      'Delete',
+      () => deleteCars([car]),
+      'Could not delete car'
+    );
+  };
+
+  const selectedUsers = users.filter((u) => selected.has(u.id));
+  const selectedCars = cars.filter((car) => selected.has(car.id));
+
+  // Deletes one account at a time; the ones that fail are listed afterwards
+  const bulkDeleteUsers = () => {
+    confirmAction(
+      'Delete Users',
+      `Delete ${selectedUsers.length} users and all their cars?`,
+      'Delete',
+      async () => {
+        const failed = [];
+        for (const target of selectedUsers) {
+          try {
+            await deleteUserAccount(target.id);
+          } catch (error) {
+            console.error('Error deleting user:', error);
+            failed.push(target.username);
+          }
+        }
+        if (failed.length > 0) throw new Error(`${failed.join(', ')} could not be deleted`);
+      },
+      'Could not delete all users'
+    );
+  };
+
+  const bulkDeleteCars = () => {
+    confirmAction(
+      'Delete Cars',
+      `Delete ${selectedCars.length} cars?`,
+      'Delete',
+      () => deleteCars(selectedCars),
+      'Could not delete cars'
+    );
+  };
+
+  const bulkSetHidden = (hidden) => {
+    runAction(
+      () => setCarsHidden(selectedCars.map((car) => car.id), hidden),
+      hidden ? 'Could not hide cars' : 'Could not restore cars'
+    );
+  };
+
+  const dismissReport = (report) => {
+    Alert.alert(
+      'Dismiss report',
+      'The reporter is told the listing was checked and left up.',
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              const { error } = await supabase
-                .from('cars')
-                .delete()
-                .eq('id', carId);
-              
-              if (error) {
-                Alert.alert('Error', error.message);
-              } else {
-                loadData();
-              }
-            } catch (error) {
-              Alert.alert('Error', 'Could not delete car');
-            }
-          },
+          text: 'Dismiss',
+          onPress: () => runAction(() => resolveReport(report, 'dismiss'), 'Could not update report'),
         },
       ]
     );
   };
 
+  const restoreCar = (report) => {
+    runAction(() => setCarsHidden([report.carId], false), 'Could not restore listing');
+  };
+
+  const submitReason = async (message) => {
+    try {
+      if (pendingAction.type === 'suspend') {
+        await setUserSuspended(pendingAction.target.id, true, message);
+      } else {
+        await resolveReport(pendingAction.report, pendingAction.type, message);
+      }
+      setPendingAction(null);
+      loadData();
+    } catch (error) {
+      console.error('Error running admin action:', error);
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  const renderUser = ({ item: u }) => {
+    const isSelf = u.id === user.id;
+    return (
+      <View style={[styles.adminCard, selected.has(u.id) && styles.adminCardSelected]}>
+        <View style={styles.adminCardHeader}>
+          <View style={styles.adminCardTitleRow}>
+            {!isSelf && !u.is_admin && (
+              <AdminCheckbox checked={selected.has(u.id)} onPress={() => toggleSelected(u.id)} />
+            )}
+            <Text style={styles.adminCardTitle}>{u.username}</Text>
+          </View>
+          {u.is_admin && <Text style={styles.adminBadge}>ADMIN</Text>}
+          {u.suspended_at && <Text style={[styles.adminBadge, styles.adminBadgeDanger]}>SUSPENDED</Text>}
+        </View>
+        <Text style={styles.adminCardText}>Email: {u.email}</Text>
+        <Text style={styles.adminCardText}>Phone: {u.phone}</Text>
+        <Text style={styles.adminCardText}>
+          Joined: {new Date(u.created_at).toLocaleDateString()}
+        </Text>
+        {u.suspended_at && (
+          <Text style={styles.adminCardText}>
+            Suspended {new Date(u.suspended_at).toLocaleDateString()}: {u.suspension_reason}
+          </Text>
+        )}
+        {!isSelf && (
+          <View style={styles.chipWrap}>
+            <TouchableOpacity style={styles.chip} onPress={() => toggleAdmin(u)}>
+              <Text style={styles.chipText}>{u.is_admin ? 'Remove admin' : 'Make admin'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.chip}
+              onPress={() => (u.suspended_at ? unsuspendUser(u) : setPendingAction({ type: 'suspend', target: u }))}
+            >
+              <Text style={styles.chipText}>{u.suspended_at ? 'Unsuspend' : 'Suspend'}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        {!u.is_admin && (
+          <TouchableOpacity 
+            style={styles.adminDeleteButton}
+            onPress={() => deleteUser(u)}
+          >
+            <Text style={styles.adminDeleteButtonText}>Delete User</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderCar = ({ item: car }) => (
+    <View style={[styles.adminCard, selected.has(car.id) && styles.adminCardSelected]}>
+      <View style={styles.adminCardHeader}>
+        <View style={styles.adminCardTitleRow}>
+          <AdminCheckbox checked={selected.has(car.id)} onPress={() => toggleSelected(car.id)} />
+          <Text style={styles.adminCardTitle}>{car.brand} {car.model}</Text>
+        </View>
+        {car.hiddenAt
+          ? <Text style={[styles.adminBadge, styles.adminBadgeDanger]}>HIDDEN</Text>
+          : <Text style={styles.adminBadge}>{statusLabel(car.status).toUpperCase()}</Text>}
+      </View>
+      <Text style={styles.adminCardText}>Year: {car.year}</Text>
+      <Text style={styles.adminCardText}>Price: {parseInt(car.price || 0).toLocaleString('nb-NO')} kr</Text>
+      <Text style={styles.adminCardText}>User ID: {car.userId}</Text>
+      <Text style={styles.adminCardText}>
+        Posted: {new Date(car.createdAt).toLocaleDateString()}
+      </Text>
+      <View style={styles.chipWrap}>
+        <TouchableOpacity style={styles.chip} onPress={() => onOpenCar(car)}>
+          <Text style={styles.chipText}>View listing</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.chip}
+          onPress={() => runAction(
+            () => setCarsHidden([car.id], !car.hiddenAt),
+            car.hiddenAt ? 'Could not restore listing' : 'Could not hide listing'
+          )}
+        >
+          <Text style={styles.chipText}>{car.hiddenAt ? 'Restore listing' : 'Hide listing'}</Text>
+        </TouchableOpacity>
+      </View>
+      <TouchableOpacity 
+        style={styles.adminDeleteButton}
+        onPress={() => deleteCar(car)}
+      >
+        <Text style={styles.adminDeleteButtonText}>Delete Car</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderReport = ({ item: report }) => (
+    <View style={styles.adminCard}>
+      <View style={styles.adminCardHeader}>
+        <Text style={styles.adminCardTitle}>{report.carTitle}</Text>
+        <Text style={styles.adminBadge}>{reportReasonLabel(report.reason).toUpperCase()}</Text>
+      </View>
+      {!!report.note && <Text style={styles.reportNoteText}>"{report.note}"</Text>}
+      <Text style={styles.adminCardText}>
+        Reported by: {report.reporterName} ({report.reporterEmail})
+      </Text>
+      <Text style={styles.adminCardText}>
+        Seller: {report.sellerName || 'Deleted user'}{report.sellerEmail ? ` (${report.sellerEmail})` : ''}
+      </Text>
+      <Text style={styles.adminCardText}>
+        Reported: {new Date(report.createdAt).toLocaleDateString()}
+      </Text>
+      {report.car ? (
+        <Text style={styles.adminCardText}>
+          Listing: {statusLabel(report.car.status)}{report.car.hiddenAt ? ' · hidden' : ''}
+        </Text>
+      ) : (
+        <Text style={styles.adminCardText}>Listing: deleted</Text>
+      )}
+      {report.status !== 'open' && (
+        <Text style={styles.adminCardText}>
+          {report.status === 'dismissed'
+            ? 'Dismissed'
+            : report.action === 'hidden' ? 'Listing hidden' : 'Seller warned'}
+          {report.resolvedAt ? ` on ${new Date(report.resolvedAt).toLocaleDateString()}` : ''}
+        </Text>
+      )}
+      <View style={styles.chipWrap}>
+        {report.car && (
+          <TouchableOpacity style={styles.chip} onPress={() => onOpenCar(report.car)}>
+            <Text style={styles.chipText}>View listing</Text>
+          </TouchableOpacity>
+        )}
+        {report.status === 'open' && (
+          <>
+            <TouchableOpacity style={styles.chip} onPress={() => dismissReport(report)}>
+              <Text style={styles.chipText}>Dismiss</Text>
+            </TouchableOpacity>
+            {report.sellerId && (
+              <TouchableOpacity style={styles.chip} onPress={() => setPendingAction({ type: 'warn', report })}>
+                <Text style={styles.chipText}>Warn seller</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+        {report.car && !report.car.hiddenAt && report.status === 'open' && (
+          <TouchableOpacity
+            style={[styles.chip, styles.chipDanger]}
+            onPress={() => setPendingAction({ type: 'hide', report })}
+          >
+            <Text style={[styles.chipText, styles.chipTextSelected]}>Hide listing</Text>
+          </TouchableOpacity>
+        )}
+        {report.car?.hiddenAt && (
+          <TouchableOpacity style={styles.chip} onPress={() => restoreCar(report)}>
+            <Text style={styles.chipText}>Restore listing</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  // Read-only: who did what, with the row as it was before
+  const renderAuditEntry = ({ item: entry }) => {
+    const expanded = expandedEntryId === entry.id;
+    const changes = Object.entries(entry.changes || {});
+    return (
+      <View style={styles.adminCard}>
+        <View style={styles.adminCardHeader}>
+          <Text style={styles.adminCardTitle}>{auditActionLabel(entry.action)}</Text>
+          <Text style={styles.metaText}>{new Date(entry.createdAt).toLocaleString('nb-NO')}</Text>
+        </View>
+        <Text style={styles.adminCardText}>
+          By: {entry.actorId ? `${entry.actorName || 'Deleted user'} (${entry.actorId})` : 'System'}
+        </Text>
+        <Text style={styles.adminCardText}>Target: {auditTargetLabel(entry)}</Text>
+        {changes.map(([column, value]) => (
+          <Text key={column} style={styles.adminCardText}>
+            {column}: {value === null ? '—' : String(typeof value === 'object' ? JSON.stringify(value) : value)}
+          </Text>
+        ))}
+        {entry.snapshot && (
+          <TouchableOpacity onPress={() => setExpandedEntryId(expanded ? null : entry.id)}>
+            <Text style={styles.auditToggle}>{expanded ? 'Hide snapshot' : 'Show snapshot'}</Text>
+          </TouchableOpacity>
+        )}
+        {expanded && (
+          <Text style={styles.auditSnapshot} selectable>
+            {JSON.stringify(entry.snapshot, null, 2)}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const tabFilters = {
+    users: { options: USER_FILTERS, value: userFilter, onChange: setUserFilter },
+    cars: { options: CAR_FILTERS, value: carFilter, onChange: setCarFilter },
+    reports: { options: REPORT_STATUSES, value: reportStatus, onChange: setReportStatus },
+    audit: {
+      options: [{ value: 'all', label: 'All actions' }, ...AUDIT_ACTIONS],
+      value: auditAction,
+      onChange: setAuditAction,
+    },
+  }[activeTab];
+
+  const tabs = [
+    { key: 'users', label: `Users (${totals.users})` },
+    { key: 'cars', label: `Cars (${totals.cars})` },
+    { key: 'reports', label: `Reports (${openReportCount})` },
+    { key: 'audit', label: 'Audit' },
+  ];
+
+  const searchPlaceholder = {
+    users: 'Search username or email...',
+    cars: 'Search brand, model or regnr...',
+    audit: 'Filter by username or user id...',
+  }[activeTab];
+
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
@@ -1433,73 +4413,126 @@ function AdminPanel({ user, onBack }) {
       </View>
 
       <View style={styles.adminTabs}>
-        <TouchableOpacity 
-          style={[styles.adminTab, activeTab === 'users' && styles.adminTabActive]}
-          onPress={() => setActiveTab('users')}
-        >
-          <Text style={[styles.adminTabText, activeTab === 'users' && styles.adminTabTextActive]}>
-            Users ({users.length})
-          </Text>
-        </TouchableOpacity>
-        <TouchableOpacity 
-          style={[styles.adminTab, activeTab === 'cars' && styles.adminTabActive]}
-          onPress={() => setActiveTab('cars')}
-        >
-          <Text style={[styles.adminTabText, activeTab === 'cars' && styles.adminTabTextActive]}>
-            Cars ({cars.length})
-          </Text>
-        </TouchableOpacity>
+        {tabs.map((tab) => (
+          <TouchableOpacity 
+            key={tab.key}
+            style={[styles.adminTab, activeTab === tab.key && styles.adminTabActive]}
+            onPress={() => switchTab(tab.key)}
+          >
+            <Text style={[styles.adminTabText, activeTab === tab.key && styles.adminTabTextActive]}>
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
       </View>
 
+      {activeTab !== 'reports' && (
+        <View style={styles.adminSearch}>
+          <TextInput
+            style={styles.searchInput}
+            placeholder={searchPlaceholder}
+            value={search}
+            onChangeText={setSearch}
+            placeholderTextColor="#999"
+            autoCapitalize="none"
+          />
+        </View>
+      )}
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.adminFilterBar}
+        contentContainerStyle={styles.adminFilterBarContent}
+      >
+        {tabFilters.options.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, tabFilters.value === option.value && styles.chipSelected]}
+            onPress={() => tabFilters.onChange(option.value)}
+          >
+            <Text style={[styles.chipText, tabFilters.value === option.value && styles.chipTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {activeTab === 'audit' && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.adminFilterBar}
+          contentContainerStyle={styles.adminFilterBarContent}
+        >
+          {AUDIT_PERIODS.map((period) => (
+            <TouchableOpacity
+              key={period.value}
+              style={[styles.chip, auditPeriod === period.value && styles.chipSelected]}
+              onPress={() => setAuditPeriod(period.value)}
+            >
+              <Text style={[styles.chipText, auditPeriod === period.value && styles.chipTextSelected]}>
+                {period.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {selected.size > 0 && (
+        <View style={styles.adminBulkBar}>
+          <Text style={styles.adminBulkText}>{selected.size} selected</Text>
+          {activeTab === 'cars' && (
+            <>
+              <TouchableOpacity onPress={() => bulkSetHidden(true)}>
+                <Text style={styles.adminBulkAction}>Hide</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => bulkSetHidden(false)}>
+                <Text style={styles.adminBulkAction}>Restore</Text>
+              </TouchableOpacity>
+            </>
+          )}
+          <TouchableOpacity onPress={activeTab === 'users' ? bulkDeleteUsers : bulkDeleteCars}>
+            <Text style={[styles.adminBulkAction, styles.adminBulkDelete]}>Delete</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => setSelected(new Set())}>
+            <Text style={styles.adminBulkAction}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       {loading ? (
         <View style={styles.adminLoading}>
           <Text>Loading...</Text>
         </View>
       ) : (
-        <ScrollView style={styles.adminContent}>
-          {activeTab === 'users' ? (
-            users.map((u) => (
-              <View key={u.id} style={styles.adminCard}>
-                <View style={styles.adminCardHeader}>
-                  <Text style={styles.adminCardTitle}>{u.username}</Text>
-                  {u.is_admin && <Text style={styles.adminBadge}>ADMIN</Text>}
-                </View>
-                <Text style={styles.adminCardText}>Email: {u.email}</Text>
-                <Text style={styles.adminCardText}>Phone: {u.phone}</Text>
-                <Text style={styles.adminCardText}>
-                  Joined: {new Date(u.created_at).toLocaleDateString()}
-                </Text>
-                {!u.is_admin && (
-                  <TouchableOpacity 
-                    style={styles.adminDeleteButton}
-                    onPress={() => deleteUser(u.id)}
-                  >
-                    <Text style={styles.adminDeleteButtonText}>Delete User</Text>
-                  </TouchableOpacity>
-                )}
-              </View>
-            ))
-          ) : (
-            cars.map((car) => (
-              <View key={car.id} style={styles.adminCard}>
-                <Text style={styles.adminCardTitle}>{car.brand} {car.model}</Text>
-                <Text style={styles.adminCardText}>Year: {car.year}</Text>
-                <Text style={styles.adminCardText}>Price: {parseInt(car.price || 0).toLocaleString('nb-NO')} kr</Text>
-                <Text style={styles.adminCardText}>User ID: {car.user_id}</Text>
-                <Text style={styles.adminCardText}>
-                  Posted: {new Date(car.created_at).toLocaleDateString()}
-                </Text>
-                <TouchableOpacity 
-                  style={styles.adminDeleteButton}
-                  onPress={() => deleteCar(car.id)}
-                >
-                  <Text style={styles.adminDeleteButtonText}>Delete Car</Text>
-                </TouchableOpacity>
-              </View>
-            ))
-          )}
-        </ScrollView>
+        <FlatList
+          style={styles.adminContent}
+          data={{ users, cars, reports, audit: auditEntries }[activeTab]}
+          keyExtractor={(item) => String(item.id)}
+          renderItem={{
+            users: renderUser,
+            cars: renderCar,
+            reports: renderReport,
+            audit: renderAuditEntry,
+          }[activeTab]}
+          extraData={activeTab === 'audit' ? expandedEntryId : selected}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={<Text style={styles.adminCardText}>Nothing found.</Text>}
+          ListFooterComponent={loadingMore ? (
+            <View style={styles.listFooter}>
+              <ActivityIndicator color="#5856D6" />
+            </View>
+          ) : null}
+        />
       )}
+
+      <ReasonDialog
+        dialog={pendingAction && REASON_DIALOGS[pendingAction.type]}
+        onSubmit={submitReason}
+        onClose={() => setPendingAction(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -1509,7 +4542,202 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f5f5f5',
   },
-  header: {
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#333',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  backButton: {
+    padding: 8,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  searchContainer: {
+    backgroundColor: '#fff',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  searchInput: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 8,
+    color: '#333',
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+  },
+  searchInputFlex: {
+    flex: 1,
+  },
+  filterButton: {
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    backgroundColor: '#f0f0f0',
+  },
+  filterButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  filterButtonText: {
+    fontSize: 14,
+    color: '#666',
+    fontWeight: '600',
+  },
+  filterButtonTextActive: {
+    color: '#fff',
+  },
+  filterPills: {
+    marginBottom: 8,
+  },
+  filterPillsContent: {
+    gap: 8,
+  },
+  filterPill: {
+    backgroundColor: '#f0f8ff',
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  filterPillText: {
+    fontSize: 13,
+    color: '#007AFF',
+    fontWeight: '500',
+  },
+  clearFiltersPill: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  clearFiltersText: {
+    fontSize: 13,
+    color: '#FF3B30',
+    fontWeight: '600',
+  },
+  savedSearchBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  savedSearchOpen: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  savedSearchLink: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  countBadge: {
+    minWidth: 20,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: '#FF3B30',
+    alignItems: 'center',
+  },
+  countBadgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '700',
+  },
+  savedSearchItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  savedSearchName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  savedSearchSummary: {
+    fontSize: 13,
+    color: '#666',
+  },
+  savedSearchDelete: {
+    padding: 4,
+  },
+  removeSavedSearchText: {
+    fontSize: 22,
+    color: '#999',
+  },
+  dialogBackdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  dialog: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#333',
+    marginBottom: 8,
+  },
+  dialogText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
+  dialogButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 16,
+    marginTop: 16,
+  },
+  dialogButton: {
+    padding: 8,
+  },
+  disabledText: {
+    color: '#ccc',
+  },
+  sheetBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  sheet: {
+    maxHeight: '85%',
+    backgroundColor: '#f5f5f5',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    overflow: 'hidden',
+  },
+  sheetHeader: {
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'space-between',
@@ -1518,44 +4746,49 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#e0e0e0',
   },
-  headerTitle: {
-    fontSize: 18,
-    fontWeight: '700',
-    color: '#333',
-  },
-  headerSubtitle: {
-    fontSize: 14,
-    color: '#666',
-    marginTop: 2,
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
   },
-  backButton: {
-    padding: 8,
+  rangeInput: {
+    flex: 1,
   },
-  backButtonText: {
+  rangeSeparator: {
     fontSize: 16,
-    color: '#007AFF',
-    fontWeight: '600',
+    color: '#666',
   },
-  searchContainer: {
+  chipWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
     backgroundColor: '#fff',
-    padding: 12,
-    borderBottomWidth: 1,
-    borderBottomColor: '#e0e0e0',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
   },
-  searchInput: {
-    backgroundColor: '#f0f0f0',
-    borderRadius: 8,
-    padding: 12,
-    fontSize: 16,
-    marginBottom: 8,
+  chipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
     color: '#333',
   },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   sortButtons: {
     flexDirection: 'row',
     gap: 8,
   },
   sortButton: {
-    flex: 1,
     paddingVertical: 8,
     paddingHorizontal: 12,
     borderRadius: 6,
@@ -1573,10 +4806,158 @@ const styles = StyleSheet.create({
   sortButtonTextActive: {
     color: '#fff',
   },
+  priceReducedToggle: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#34C759',
+    alignItems: 'center',
+  },
+  priceReducedToggleActive: {
+    backgroundColor: '#34C759',
+  },
+  priceReducedToggleText: {
+    fontSize: 14,
+    color: '#34C759',
+    fontWeight: '500',
+  },
   listContent: {
     padding: 12,
     paddingBottom: 80,
   },
+  emptyListContent: {
+    flexGrow: 1,
+  },
+  listFooter: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+  listingNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#007AFF',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  listingNoticeRemoved: {
+    backgroundColor: '#FF3B30',
+  },
+  statusNotice_draft: {
+    backgroundColor: '#666',
+  },
+  statusNotice_reserved: {
+    backgroundColor: '#FF9500',
+  },
+  statusNotice_sold: {
+    backgroundColor: '#34C759',
+  },
+  statusNotice_expired: {
+    backgroundColor: '#8E8E93',
+  },
+  statusControl: {
+    marginTop: 16,
+    padding: 16,
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+  },
+  statusCurrent: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 12,
+  },
+  statusRibbon: {
+    position: 'absolute',
+    top: 44,
+    left: 0,
+    backgroundColor: '#FF9500',
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderTopRightRadius: 4,
+    borderBottomRightRadius: 4,
+  },
+  statusRibbonSold: {
+    backgroundColor: '#34C759',
+  },
+  statusRibbonText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '800',
+    letterSpacing: 1,
+  },
+  listingNoticeText: {
+    color: '#fff',
+    fontSize: 14,
+    flexShrink: 1,
+  },
+  listingNoticeAction: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '700',
+    marginLeft: 12,
+  },
+  offlineBanner: {
+    backgroundColor: '#666',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  offlineBannerSyncing: {
+    backgroundColor: '#007AFF',
+  },
+  offlineBannerText: {
+    color: '#fff',
+    fontSize: 13,
+    textAlign: 'center',
+  },
+  noticeBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF4E5',
+    borderBottomWidth: 1,
+    borderBottomColor: '#FFD8A8',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  noticeBannerContent: {
+    flex: 1,
+    marginRight: 12,
+  },
+  noticeBannerTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#333',
+  },
+  noticeBannerText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  noticeBannerMore: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  noticeBannerAction: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#007AFF',
+  },
+  pendingBadge: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    backgroundColor: '#FF9500',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 4,
+  },
+  pendingBadgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '700',
+  },
   carCard: {
     backgroundColor: '#fff',
     borderRadius: 12,
@@ -1588,6 +4969,58 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.12,
     shadowRadius: 4,
   },
+  favoriteButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: 'rgba(255,255,255,0.9)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  shareButton: {
+    marginRight: 12,
+  },
+  signInPrompt: {
+    marginTop: 8,
+  },
+  cardFavoriteButton: {
+    position: 'absolute',
+    top: 12,
+    right: 12,
+  },
+  favoriteIcon: {
+    fontSize: 20,
+    color: '#666',
+  },
+  favoriteIconActive: {
+    color: '#FF3B30',
+  },
+  headerActions: {
+    width: 80,
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  unavailableCard: {
+    opacity: 0.7,
+  },
+  unavailableRibbon: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    backgroundColor: '#333',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 4,
+  },
+  unavailableRibbonText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  unavailablePrice: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
   carImage: {
     width: '100%',
     height: 200,
@@ -1628,6 +5061,19 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#007AFF',
   },
+  priceDropBadge: {
+    alignSelf: 'flex-start',
+    marginTop: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 4,
+    backgroundColor: '#e8f8ec',
+  },
+  priceDropBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#248A3D',
+  },
   emptyState: {
     flex: 1,
     justifyContent: 'center',
@@ -1767,9 +5213,145 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textAlign: 'center',
   },
-  addImageButtons: {
-    flexDirection: 'column',
-    gap: 8,
+  addImageButtons: {
+    flexDirection: 'column',
+    gap: 8,
+  },
+  addImageButtonDisabled: {
+    opacity: 0.4,
+  },
+  imageStripContent: {
+    paddingTop: 8,
+    paddingRight: 8,
+  },
+  coverBadge: {
+    position: 'absolute',
+    left: 6,
+    bottom: 6,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  coverBadgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '700',
+  },
+  angleBadge: {
+    position: 'absolute',
+    left: 6,
+    top: 6,
+    maxWidth: 108,
+    backgroundColor: 'rgba(0,122,255,0.85)',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+  },
+  angleChip: {
+    marginRight: 8,
+  },
+  detailAngle: {
+    position: 'absolute',
+    left: 12,
+    bottom: 12,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    borderRadius: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  shotOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  shotHeader: {
+    position: 'absolute',
+    top: 50,
+    left: 20,
+    right: 20,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    borderRadius: 12,
+    padding: 12,
+  },
+  shotStep: {
+    color: '#ddd',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  shotTitle: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: '700',
+    marginTop: 2,
+  },
+  shotHint: {
+    color: '#fff',
+    fontSize: 14,
+    marginTop: 4,
+  },
+  shotOutline: {
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.9)',
+    borderStyle: 'dashed',
+    borderRadius: 16,
+  },
+  shotWheel: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: 'rgba(255,255,255,0.9)',
+    borderStyle: 'dashed',
+  },
+  photoHint: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  photoEditor: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  photoEditorStage: {
+    alignSelf: 'center',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#111',
+    borderRadius: 8,
+    marginTop: 16,
+    overflow: 'hidden',
+  },
+  cropFrame: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: '#fff',
+    backgroundColor: 'rgba(255,255,255,0.08)',
+  },
+  photoEditorBusy: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  photoEditorControls: {
+    padding: 16,
+    gap: 12,
+  },
+  photoEditorRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  secondaryButtonSmall: {
+    flex: 1,
+    borderColor: '#007AFF',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  removePhotoText: {
+    color: '#FF3B30',
+    fontSize: 16,
+    fontWeight: '600',
   },
   saveButton: {
     backgroundColor: '#007AFF',
@@ -1783,11 +5365,65 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.3,
     shadowRadius: 3,
   },
+  regnrRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  regnrInput: {
+    flex: 1,
+    letterSpacing: 1,
+  },
+  lookupButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    justifyContent: 'center',
+    minWidth: 96,
+    alignItems: 'center',
+  },
+  lookupButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
   saveButtonText: {
     color: '#fff',
     fontSize: 16,
     fontWeight: '700',
   },
+  secondaryButton: {
+    borderColor: '#007AFF',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  draftBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 16,
+  },
+  draftName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  draftAction: {
+    marginLeft: 12,
+  },
   camera: {
     flex: 1,
   },
@@ -1839,6 +5475,43 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  galleryBackdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#000',
+  },
+  galleryPage: {
+    width: width,
+    height: height,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  galleryImage: {
+    width: width,
+    height: height,
+  },
+  galleryHeader: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: Platform.OS === 'android' ? 40 : 8,
+  },
+  galleryCounter: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  galleryClose: {
+    backgroundColor: 'rgba(255,255,255,0.2)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
   pagination: {
     flexDirection: 'row',
     justifyContent: 'center',
@@ -1892,6 +5565,24 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#333',
   },
+  specGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  specItem: {
+    width: '48%',
+    backgroundColor: '#f8f8f8',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+  specValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
   priceContainer: {
     backgroundColor: '#f0f8ff',
     padding: 20,
@@ -1911,6 +5602,48 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#007AFF',
   },
+  priceDropText: {
+    marginTop: 6,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#248A3D',
+  },
+  priceHistory: {
+    marginBottom: 20,
+  },
+  priceHistoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  priceHistoryDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#ccc',
+    marginRight: 10,
+  },
+  priceHistoryDotCurrent: {
+    backgroundColor: '#007AFF',
+  },
+  priceHistoryDate: {
+    width: 90,
+    fontSize: 14,
+    color: '#666',
+  },
+  priceHistoryPrice: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  priceHistoryChange: {
+    fontSize: 14,
+    color: '#666',
+  },
+  priceHistoryChangeDown: {
+    color: '#248A3D',
+  },
   descriptionContainer: {
     marginBottom: 20,
   },
@@ -1951,6 +5684,133 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     textDecorationLine: 'underline',
   },
+  messageButton: {
+    backgroundColor: '#007AFF',
+    padding: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 12,
+    elevation: 2,
+    shadowColor: '#007AFF',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 2,
+  },
+  messageButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  reportButton: {
+    alignItems: 'center',
+    paddingVertical: 8,
+    marginBottom: 12,
+  },
+  reportButtonText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  reportNote: {
+    marginTop: 12,
+  },
+  messagesButton: {
+    padding: 4,
+  },
+  messagesIcon: {
+    fontSize: 24,
+  },
+  messagesBadge: {
+    position: 'absolute',
+    top: -4,
+    right: -8,
+  },
+  inboxSectionTitle: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#666',
+    textTransform: 'uppercase',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  conversationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  conversationName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  conversationCar: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  conversationTime: {
+    fontSize: 12,
+    color: '#999',
+  },
+  chatHeaderTitle: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  chatContent: {
+    padding: 12,
+  },
+  messageBubble: {
+    maxWidth: '80%',
+    padding: 10,
+    borderRadius: 12,
+    marginBottom: 8,
+  },
+  messageMine: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#007AFF',
+  },
+  messageTheirs: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#fff',
+  },
+  messageText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  messageTextMine: {
+    color: '#fff',
+  },
+  messageTime: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 4,
+  },
+  messageTimeMine: {
+    color: 'rgba(255,255,255,0.8)',
+  },
+  chatInputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 8,
+    padding: 12,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e0e0e0',
+  },
+  chatInput: {
+    flex: 1,
+    maxHeight: 120,
+  },
+  chatSendButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+  },
   contactButtonsRow: {
     flexDirection: 'row',
     gap: 12,
@@ -2129,6 +5989,19 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: 12,
   },
+  savedCarsButton: {
+    backgroundColor: '#007AFF',
+    padding: 12,
+    margin: 16,
+    borderRadius: 8,
+    alignItems: 'center',
+    flex: 1,
+  },
+  savedCarsButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   adminButton: {
     backgroundColor: '#5856D6',
     padding: 12,
@@ -2171,6 +6044,89 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: 16,
   },
+  adminFilterBar: {
+    flexGrow: 0,
+    paddingTop: 12,
+  },
+  adminFilterBarContent: {
+    gap: 8,
+    paddingHorizontal: 16,
+  },
+  adminSearch: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  adminBulkBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+    marginTop: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    backgroundColor: '#EEEDFC',
+  },
+  adminBulkText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  adminBulkAction: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: '#5856D6',
+  },
+  adminBulkDelete: {
+    color: '#FF3B30',
+  },
+  adminCardSelected: {
+    borderWidth: 2,
+    borderColor: '#5856D6',
+  },
+  adminCardTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  adminCheckbox: {
+    marginRight: 8,
+  },
+  adminCheckboxText: {
+    fontSize: 22,
+    color: '#999',
+  },
+  adminCheckboxTextChecked: {
+    color: '#5856D6',
+  },
+  auditToggle: {
+    marginTop: 4,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#5856D6',
+  },
+  auditSnapshot: {
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 6,
+    backgroundColor: '#f5f5f5',
+    fontSize: 12,
+    color: '#333',
+    fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+  },
+  adminBadgeDanger: {
+    backgroundColor: '#FF3B30',
+    marginLeft: 6,
+  },
+  chipDanger: {
+    backgroundColor: '#FF3B30',
+    borderColor: '#FF3B30',
+  },
+  reportNoteText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    color: '#333',
+    marginBottom: 8,
+  },
   adminLoading: {
     flex: 1,
     justifyContent: 'center',
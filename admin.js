@@ -0,0 +1,130 @@
+import { supabase } from './supabase-client';
+import { carFromRow, CAR_COLUMNS } from './car-mapper';
+import { removeStoredImages, carImageUrls } from './image-upload';
+import { LISTING_STATUSES } from './listing-status';
+
+// Queries and actions behind the admin panel. Everything here relies on the
+// caller being an admin; RLS and the admin functions enforce it server-side.
+
+export const ADMIN_PAGE_SIZE = 20;
+
+export const USER_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'admins', label: 'Admins' },
+  { value: 'suspended', label: 'Suspended' },
+];
+
+export const CAR_FILTERS = [
+  { value: 'all', label: 'All' },
+  ...LISTING_STATUSES,
+  { value: 'hidden', label: 'Hidden' },
+];
+
+// `%term%` for ilike, quoted so commas and brackets survive the `or` syntax
+function containsPattern(search) {
+  const term = search.trim().replace(/[%_\\]/g, '\\$&');
+  return `"%${term.replace(/["\\]/g, '\\$&')}%"`;
+}
+
+function pageResult(rows, count, to) {
+  return {
+    rows,
+    total: count ?? rows.length,
+    hasMore: count != null ? to + 1 < count : rows.length === ADMIN_PAGE_SIZE,
+  };
+}
+
+// A page of user profiles, newest first, matching username or email
+export async function fetchAdminUsers({ search = '', filter = 'all', page = 0 }) {
+  const from = page * ADMIN_PAGE_SIZE;
+  const to = from + ADMIN_PAGE_SIZE - 1;
+
+  let query = supabase.from('users').select('*', { count: 'exact' });
+  if (search.trim()) {
+    const pattern = containsPattern(search);
+    query = query.or(`username.ilike.${pattern},email.ilike.${pattern}`);
+  }
+  if (filter === 'admins') query = query.eq('is_admin', true);
+  if (filter === 'suspended') query = query.not('suspended_at', 'is', null);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: true })
+    .range(from, to);
+  if (error) throw error;
+  const { rows, total, hasMore } = pageResult(data || [], count, to);
+  return { users: rows, total, hasMore };
+}
+
+// A page of listings in any status, newest first, matching brand, model or regnr
+export async function fetchAdminCars({ search = '', filter = 'all', page = 0 }) {
+  const from = page * ADMIN_PAGE_SIZE;
+  const to = from + ADMIN_PAGE_SIZE - 1;
+
+  let query = supabase.from('cars').select(CAR_COLUMNS, { count: 'exact' });
+  if (search.trim()) {
+    const pattern = containsPattern(search);
+    query = query.or(`brand.ilike.${pattern},model.ilike.${pattern},regnr.ilike.${pattern}`);
+  }
+  if (filter === 'hidden') {
+    query = query.not('hidden_at', 'is', null);
+  } else if (filter !== 'all') {
+    query = query.eq('status', filter);
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: true })
+    .range(from, to);
+  if (error) throw error;
+  const { rows, total, hasMore } = pageResult((data || []).map(carFromRow), count, to);
+  return { cars: rows, total, hasMore };
+}
+
+export async function setUserAdmin(userId, makeAdmin) {
+  const { error } = await supabase.rpc('set_user_admin', {
+    target_user_id: userId,
+    make_admin: makeAdmin,
+  });
+  if (error) throw error;
+}
+
+// Suspending needs a reason; the user sees it when they are signed out
+export async function setUserSuspended(userId, suspend, reason = '') {
+  const { error } = await supabase.rpc('set_user_suspended', {
+    target_user_id: userId,
+    suspend,
+    reason: reason.trim(),
+  });
+  if (error) throw error;
+}
+
+// Removes the account, its listings and their photos
+export async function deleteUserAccount(userId) {
+  const { data: userCars, error: carsError } = await supabase
+    .from('cars')
+    .select('images, thumbnails')
+    .eq('user_id', userId);
+  if (carsError) throw carsError;
+
+  const { error } = await supabase.rpc('delete_user', { target_user_id: userId });
+  if (error) throw error;
+  await removeStoredImages(carImageUrls(userCars || []));
+}
+
+export async function deleteCars(cars) {
+  const { error } = await supabase
+    .from('cars')
+    .delete()
+    .in('id', cars.map((car) => car.id));
+  if (error) throw error;
+  await removeStoredImages(carImageUrls(cars));
+}
+
+export async function setCarsHidden(carIds, hidden) {
+  const { error } = await supabase
+    .from('cars')
+    .update({ hidden_at: hidden ? new Date().toISOString() : null })
+    .in('id', carIds);
+  if (error) throw error;
+}
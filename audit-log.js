@@ -0,0 +1,102 @@
+import { supabase } from './supabase-client';
+
+// Read side of the audit log. Entries are written by database triggers (see
+// the audit log migration) and can never be changed, so there is no write
+// API here.
+
+export const AUDIT_PAGE_SIZE = 30;
+
+export const AUDIT_ACTIONS = [
+  { value: 'car.delete', label: 'Car deleted' },
+  { value: 'car.hide', label: 'Car hidden' },
+  { value: 'car.restore', label: 'Car restored' },
+  { value: 'car.update', label: 'Car edited by admin' },
+  { value: 'user.delete', label: 'User deleted' },
+  { value: 'user.promote', label: 'Made admin' },
+  { value: 'user.demote', label: 'Admin removed' },
+  { value: 'user.suspend', label: 'User suspended' },
+  { value: 'user.unsuspend', label: 'User unsuspended' },
+  { value: 'report.dismiss', label: 'Report dismissed' },
+  { value: 'report.resolve', label: 'Report resolved' },
+];
+
+// How far back to look; `days` null means everything
+export const AUDIT_PERIODS = [
+  { value: 'day', label: 'Last 24 hours', days: 1 },
+  { value: 'week', label: 'Last 7 days', days: 7 },
+  { value: 'month', label: 'Last 30 days', days: 30 },
+  { value: 'all', label: 'All time', days: null },
+];
+
+export function auditActionLabel(action) {
+  const found = AUDIT_ACTIONS.find((a) => a.value === action);
+  return found ? found.label : action;
+}
+
+export function auditEntryFromRow(row) {
+  return {
+    id: row.id,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    action: row.action,
+    targetTable: row.target_table,
+    targetId: row.target_id,
+    snapshot: row.snapshot,
+    changes: row.changes,
+    createdAt: row.created_at,
+  };
+}
+
+// A readable name for what the entry is about, from the row snapshot
+export function auditTargetLabel(entry) {
+  const row = entry.snapshot || {};
+  if (entry.targetTable === 'cars') {
+    return [row.brand, row.model, row.year].filter(Boolean).join(' ') || `Car ${entry.targetId}`;
+  }
+  if (entry.targetTable === 'users') {
+    return row.username || row.email || `User ${entry.targetId}`;
+  }
+  if (entry.targetTable === 'listing_reports') {
+    return `Report on ${row.car_title || 'a deleted listing'}`;
+  }
+  return `${entry.targetTable} ${entry.targetId}`;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * A page of entries, newest first. `actor` is an actor id or part of the
+ * actor's current username, `action` is one of AUDIT_ACTIONS (or 'all')
+ * and `period` one of AUDIT_PERIODS.
+ */
+export async function fetchAuditLog({ actor = '', action = 'all', period = 'all', page = 0 }) {
+  const from = page * AUDIT_PAGE_SIZE;
+  const to = from + AUDIT_PAGE_SIZE - 1;
+
+  // The view adds the actor's current username to each entry
+  let query = supabase.from('audit_log_entries').select('*', { count: 'exact' });
+  const term = actor.trim();
+  if (UUID_PATTERN.test(term)) {
+    query = query.eq('actor_id', term);
+  } else if (term) {
+    query = query.ilike('actor_name', `%${term.replace(/[%_\\]/g, '\\$&')}%`);
+  }
+  if (action !== 'all') query = query.eq('action', action);
+  const days = AUDIT_PERIODS.find((p) => p.value === period)?.days;
+  if (days) {
+    query = query.gte('created_at', new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+  }
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(from, to);
+  if (error) throw error;
+
+  const entries = (data || []).map(auditEntryFromRow);
+  return {
+    entries,
+    total: count ?? entries.length,
+    hasMore: count != null ? to + 1 < count : entries.length === AUDIT_PAGE_SIZE,
+  };
+}
@@ -0,0 +1,159 @@
+import { FUEL_TYPES, GEARBOXES, DRIVETRAINS, BODY_TYPES, COLORS, optionLabel } from './vehicle-specs';
+
+// Filter state for the car feed. Range values are kept as the strings typed
+// into the filter sheet and parsed when the query is built.
+
+export const EMPTY_FILTERS = {
+  minPrice: '',
+  maxPrice: '',
+  minYear: '',
+  maxYear: '',
+  minKm: '',
+  maxKm: '',
+  minPower: '',
+  maxPower: '',
+  minSeats: '',
+  maxSeats: '',
+  minOwners: '',
+  maxOwners: '',
+  brands: [],
+  fuelTypes: [],
+  gearboxes: [],
+  drivetrains: [],
+  bodyTypes: [],
+  colors: [],
+  // Only cars whose price has come down (see price-history.js)
+  priceReduced: false,
+};
+
+// `field` is the same value on a mapped car (car-mapper.js)
+const RANGES = [
+  { min: 'minPrice', max: 'maxPrice', column: 'price', field: 'price', label: 'Price', unit: 'kr' },
+  { min: 'minYear', max: 'maxYear', column: 'year', field: 'year', label: 'Year', unit: '' },
+  { min: 'minKm', max: 'maxKm', column: 'km', field: 'km', label: 'Mileage', unit: 'km' },
+  { min: 'minPower', max: 'maxPower', column: 'power_kw', field: 'powerKw', label: 'Power', unit: 'kW' },
+  { min: 'minSeats', max: 'maxSeats', column: 'seats', field: 'seats', label: 'Seats', unit: '' },
+  { min: 'minOwners', max: 'maxOwners', column: 'previous_owners', field: 'previousOwners', label: 'Owners', unit: '' },
+];
+
+// Multi-select filters on a column with a fixed set of values
+export const CHOICE_FILTERS = [
+  { key: 'fuelTypes', column: 'fuel_type', field: 'fuelType', label: 'Fuel', options: FUEL_TYPES },
+  { key: 'gearboxes', column: 'gearbox', field: 'gearbox', label: 'Gearbox', options: GEARBOXES },
+  { key: 'drivetrains', column: 'drivetrain', field: 'drivetrain', label: 'Drivetrain', options: DRIVETRAINS },
+  { key: 'bodyTypes', column: 'body_type', field: 'bodyType', label: 'Body type', options: BODY_TYPES },
+  { key: 'colors', column: 'color', field: 'color', label: 'Color', options: COLORS },
+];
+
+export function parseFilterNumber(value) {
+  const number = parseInt(String(value ?? '').replace(/\s/g, ''), 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Years read better without a thousands separator or unit
+function formatValue(number, range) {
+  return range.unit ? number.toLocaleString('nb-NO') : String(number);
+}
+
+function withUnit(text, range) {
+  return range.unit ? `${text} ${range.unit}` : text;
+}
+
+// Column ranges to apply as gte/lte filters, skipping empty bounds.
+export function filterRanges(filters) {
+  return RANGES.map((range) => ({
+    column: range.column,
+    field: range.field,
+    min: parseFilterNumber(filters[range.min]),
+    max: parseFilterNumber(filters[range.max]),
+  })).filter((range) => range.min !== null || range.max !== null);
+}
+
+// Selected values per column for the multi-select filters, skipping empty ones
+export function filterChoices(filters) {
+  return CHOICE_FILTERS
+    .map((choice) => ({ column: choice.column, field: choice.field, values: filters[choice.key] || [] }))
+    .filter((choice) => choice.values.length > 0);
+}
+
+/**
+ * One pill per active filter: `{ id, label }`. Pass the id to
+ * `removeFilter` to clear just that filter.
+ */
+export function describeFilters(filters) {
+  const pills = [];
+
+  RANGES.forEach((range) => {
+    const min = parseFilterNumber(filters[range.min]);
+    const max = parseFilterNumber(filters[range.max]);
+    if (min === null && max === null) return;
+
+    let label;
+    if (min !== null && max !== null) {
+      label = `${range.label} ${formatValue(min, range)}–${withUnit(formatValue(max, range), range)}`;
+    } else if (min !== null) {
+      label = `${range.label} from ${withUnit(formatValue(min, range), range)}`;
+    } else {
+      label = `${range.label} up to ${withUnit(formatValue(max, range), range)}`;
+    }
+    pills.push({ id: range.column, label });
+  });
+
+  filters.brands.forEach((brand) => {
+    pills.push({ id: `brand:${brand}`, label: brand });
+  });
+
+  CHOICE_FILTERS.forEach((choice) => {
+    (filters[choice.key] || []).forEach((value) => {
+      pills.push({ id: `${choice.key}:${value}`, label: optionLabel(choice.options, value) });
+    });
+  });
+
+  if (filters.priceReduced) {
+    pills.push({ id: 'priceReduced', label: 'Price reduced' });
+  }
+
+  return pills;
+}
+
+export function removeFilter(filters, id) {
+  if (id === 'priceReduced') {
+    return { ...filters, priceReduced: false };
+  }
+  if (id.startsWith('brand:')) {
+    const brand = id.slice('brand:'.length);
+    return { ...filters, brands: filters.brands.filter((b) => b !== brand) };
+  }
+  const choice = CHOICE_FILTERS.find((c) => id.startsWith(`${c.key}:`));
+  if (choice) {
+    const value = id.slice(choice.key.length + 1);
+    return { ...filters, [choice.key]: filters[choice.key].filter((v) => v !== value) };
+  }
+  const range = RANGES.find((r) => r.column === id);
+  if (!range) return filters;
+  return { ...filters, [range.min]: '', [range.max]: '' };
+}
+
+// Whether a car (as returned by carFromRow) passes the filters. Mirrors
+// applyCarFilters in car-query.js for rows that arrive outside a query.
+export function carMatchesFilters(car, filters) {
+  const inRanges = filterRanges(filters).every(({ field, min, max }) => {
+    const value = parseFilterNumber(car[field]);
+    if (value === null) return false;
+    return (min === null || value >= min) && (max === null || value <= max);
+  });
+  if (!inRanges) return false;
+
+  const inChoices = filterChoices(filters).every(({ field, values }) => values.includes(car[field]));
+  if (!inChoices) return false;
+
+  if (filters.priceReduced && !(Number(car.priceDrop) > 0)) return false;
+
+  if (filters.brands.length === 0) return true;
+  const brand = (car.brand || '').trim().toLowerCase();
+  return filters.brands.some((b) => b.trim().toLowerCase() === brand);
+}
+
+export function countActiveFilters(filters) {
+  return describeFilters(filters).length;
+}
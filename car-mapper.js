@@ -0,0 +1,65 @@
+// The `cars` table uses snake_case columns while the app works with
+// camelCase listing objects. Every read and write goes through these two
+// functions so the mapping only lives here.
+
+const COLUMNS = {
+  id: 'id',
+  userId: 'user_id',
+  brand: 'brand',
+  model: 'model',
+  year: 'year',
+  km: 'km',
+  price: 'price',
+  priceDrop: 'price_drop',
+  priceDroppedAt: 'price_dropped_at',
+  regnr: 'regnr',
+  firstRegistration: 'first_registration',
+  fuelType: 'fuel_type',
+  powerKw: 'power_kw',
+  gearbox: 'gearbox',
+  drivetrain: 'drivetrain',
+  bodyType: 'body_type',
+  color: 'color',
+  seats: 'seats',
+  previousOwners: 'previous_owners',
+  nextEuControl: 'next_eu_control',
+  vin: 'vin',
+  description: 'description',
+  images: 'images',
+  thumbnails: 'thumbnails',
+  imageAngles: 'image_angles',
+  ownerName: 'owner_name',
+  ownerPhone: 'owner_phone',
+  ownerEmail: 'owner_email',
+  status: 'status',
+  expiresAt: 'expires_at',
+  hiddenAt: 'hidden_at',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+};
+
+// Column list for `select`, so derived columns such as the search index are
+// not sent to the app.
+export const CAR_COLUMNS = Object.values(COLUMNS).join(',');
+
+export function carFromRow(row) {
+  const car = {};
+  Object.entries(COLUMNS).forEach(([key, column]) => {
+    car[key] = row[column];
+  });
+  car.images = car.images || [];
+  car.thumbnails = car.thumbnails || [];
+  car.imageAngles = car.imageAngles || [];
+  return car;
+}
+
+// Only the keys present on `car` are written, so callers can pass a partial
+// listing (e.g. form data without id or timestamps). Empty form fields are
+// stored as null, which typed columns (dates, numbers) require.
+export function carToRow(car) {
+  const row = {};
+  Object.entries(COLUMNS).forEach(([key, column]) => {
+    if (car[key] !== undefined) row[column] = car[key] === '' ? null : car[key];
+  });
+  return row;
+}
@@ -0,0 +1,131 @@
+import { supabase } from './supabase-client';
+import { carFromRow, carToRow, CAR_COLUMNS } from './car-mapper';
+import {
+  uploadCarImages,
+  thumbnailMap,
+  removeStoredImages,
+  carImageUrls,
+} from './image-upload';
+import { assertValidListing } from './listing-schema';
+import { canChangeStatus, statusLabel } from './listing-status';
+
+// Server writes for a listing, shared by the screens and the offline queue.
+// Each throws the Supabase (or network) error on failure.
+
+// A random (v4) uuid for a new listing. The id is picked before the first
+// attempt so a retried insert cannot create the listing twice.
+export function newCarId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+export async function insertCarListing(userId, carData, carId = newCarId()) {
+  assertValidListing(carData);
+  const { images, thumbnails } = await uploadCarImages(userId, carData.images || []);
+
+  const { data, error } = await supabase
+    .from('cars')
+    .insert([carToRow({
+      ...carData,
+      id: carId,
+      userId,
+      images,
+      thumbnails,
+    })])
+    .select(CAR_COLUMNS)
+    .single();
+
+  if (error) {
+    await removeStoredImages([...images, ...thumbnails]);
+    throw error;
+  }
+  return carFromRow(data);
+}
+
+// `car` is the listing as it was before editing; its images decide which
+// uploads are new and which storage objects are no longer used.
+export async function updateCarListing(userId, car, carData) {
+  assertValidListing(carData);
+  const { images, thumbnails } = await uploadCarImages(
+    userId,
+    carData.images || [],
+    thumbnailMap(car)
+  );
+
+  const { data, error } = await supabase
+    .from('cars')
+    .update(carToRow({
+      ...carData,
+      images,
+      thumbnails,
+      updatedAt: new Date().toISOString(),
+    }))
+    .eq('id', car.id)
+    .select(CAR_COLUMNS)
+    .single();
+
+  const oldUrls = carImageUrls([car]);
+  const newUrls = [...images, ...thumbnails];
+  if (error) {
+    await removeStoredImages(newUrls.filter((url) => !oldUrls.includes(url)));
+    throw error;
+  }
+  await removeStoredImages(oldUrls.filter((url) => !newUrls.includes(url)));
+  return carFromRow(data);
+}
+
+export async function deleteCarListing(car) {
+  const { error } = await supabase
+    .from('cars')
+    .delete()
+    .eq('id', car.id);
+  if (error) throw error;
+
+  await removeStoredImages(carImageUrls([car]));
+}
+
+// Moves a listing to `status` (see listing-status.js; the database rejects
+// transitions that are not allowed). Publishing a draft also moves
+// `created_at` to now, so it is listed (and notified to saved searches) as
+// a new car.
+export async function setCarStatus(car, status) {
+  if (!canChangeStatus(car.status, status)) {
+    throw new Error(`A listing cannot go from ${statusLabel(car.status)} to ${statusLabel(status)}`);
+  }
+  const now = new Date().toISOString();
+  const changes = { status, updatedAt: now };
+  if (car.status === 'draft' && status === 'active') changes.createdAt = now;
+
+  const { data, error } = await supabase
+    .from('cars')
+    .update(carToRow(changes))
+    .eq('id', car.id)
+    .select(CAR_COLUMNS)
+    .single();
+  if (error) throw error;
+  return carFromRow(data);
+}
+
+// Starts a new listing period for an active or expired listing
+export async function renewCarListing(car) {
+  const { data, error } = await supabase
+    .rpc('renew_car', { target_car_id: car.id })
+    .select(CAR_COLUMNS)
+    .single();
+  if (error) throw error;
+  return carFromRow(data);
+}
+
+// The server's `updated_at` for a car, or null when it no longer exists.
+export async function fetchCarUpdatedAt(carId) {
+  const { data, error } = await supabase
+    .from('cars')
+    .select('updated_at')
+    .eq('id', carId)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? data.updated_at : null;
+}
@@ -0,0 +1,269 @@
+import { supabase } from './supabase-client';
+import { carFromRow, CAR_COLUMNS } from './car-mapper';
+import { EMPTY_FILTERS, filterRanges, filterChoices, carMatchesFilters } from './car-filters';
+import { FEED_STATUSES } from './listing-status';
+
+export const PAGE_SIZE = 20;
+
+// `field` is the same value on a mapped car, for sorting rows client-side
+const SORT_ORDERS = {
+  date: { column: 'created_at', field: 'createdAt', ascending: false },
+  price: { column: 'price', field: 'price', ascending: false },
+  km: { column: 'km', field: 'km', ascending: true },
+  // Most recent price reductions first; cars without one come last
+  reduced: { column: 'price_dropped_at', field: 'priceDroppedAt', ascending: false },
+};
+
+// Searches go through the `search_cars` function, which matches against the
+// full-text index; its `search_rank` column scores each match. Drafts, sold and
+// expired listings are readable too (by their owner, or by link), so the
+// feed asks for FEED_STATUSES. Listings hidden by a moderator stay visible
+// to their seller and admins, but never in the feed.
+function baseQuery(searchQuery, { head = false } = {}) {
+  const text = (searchQuery || '').trim();
+  if (!text) {
+    return supabase
+      .from('cars')
+      .select(CAR_COLUMNS, { count: 'exact', head })
+      .in('status', FEED_STATUSES)
+      .is('hidden_at', null);
+  }
+  return supabase
+    .rpc('search_cars', { search_query: text }, { count: 'exact', head })
+    .select(CAR_COLUMNS)
+    .in('status', FEED_STATUSES)
+    .is('hidden_at', null);
+}
+
+// Quoted so brand names with spaces or commas survive the `or` syntax
+function quoteFilterValue(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+export function applyCarFilters(query, filters = EMPTY_FILTERS) {
+  let filtered = query;
+
+  filterRanges(filters).forEach(({ column, min, max }) => {
+    if (min !== null) filtered = filtered.gte(column, min);
+    if (max !== null) filtered = filtered.lte(column, max);
+  });
+
+  filterChoices(filters).forEach(({ column, values }) => {
+    filtered = filtered.in(column, values);
+  });
+
+  if (filters.priceReduced) {
+    filtered = filtered.gt('price_drop', 0);
+  }
+
+  if (filters.brands.length > 0) {
+    // ilike without wildcards: a case-insensitive match, since brands are typed freely
+    filtered = filtered.or(
+      filters.brands.map((brand) => `brand.ilike.${quoteFilterValue(brand)}`).join(',')
+    );
+  }
+
+  return filtered;
+}
+
+export function applyCarSort(query, sortBy, searchQuery) {
+  // Without a search there is nothing to rank, so relevance falls back to
+  // newest first
+  if (sortBy === 'relevance' && (searchQuery || '').trim()) {
+    return query
+      .order('search_rank', { ascending: false })
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: true });
+  }
+  const order = SORT_ORDERS[sortBy] || SORT_ORDERS.date;
+  // `id` as a tie-breaker keeps page boundaries stable
+  return query
+    .order(order.column, { ascending: order.ascending, nullsFirst: false })
+    .order('id', { ascending: true });
+}
+
+/**
+ * Fetches one page of the car feed, already filtered and ordered by the
+ * database. `page` is zero-based.
+ *
+ * Returns `{ cars, total, hasMore }`.
+ */
+export async function fetchCarPage({ searchQuery, sortBy, filters, page = 0, pageSize = PAGE_SIZE }) {
+  const from = page * pageSize;
+  const to = from + pageSize - 1;
+
+  const filtered = applyCarFilters(baseQuery(searchQuery), filters);
+  const query = applyCarSort(filtered, sortBy, searchQuery).range(from, to);
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  const cars = (data || []).map(carFromRow);
+  return {
+    cars,
+    total: count ?? cars.length,
+    hasMore: count != null ? to + 1 < count : cars.length === pageSize,
+  };
+}
+
+// A single car by id, or null when it does not exist (or is not visible)
+export async function fetchCarById(id) {
+  const { data, error } = await supabase
+    .from('cars')
+    .select(CAR_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? carFromRow(data) : null;
+}
+
+// The user's unpublished listings (uploaded drafts), newest first
+export async function fetchUnpublishedCars(userId) {
+  const { data, error } = await supabase
+    .from('cars')
+    .select(CAR_COLUMNS)
+    .eq('user_id', userId)
+    .eq('status', 'draft')
+    .order('updated_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map(carFromRow);
+}
+
+// Read-only listing for visitors who are not signed in (no owner id or
+// contact details), or null when it does not exist
+export async function fetchPublicCar(id) {
+  const { data, error } = await supabase.rpc('public_car', { target_car_id: id });
+  if (error) throw error;
+  return data ? carFromRow(data) : null;
+}
+
+// Number of cars matching a search, optionally only those listed after `since`
+export async function countCars({ searchQuery, filters, since }) {
+  let query = applyCarFilters(baseQuery(searchQuery, { head: true }), filters);
+  if (since) query = query.gt('created_at', since);
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+// `created_at` of the newest car matching a search and listed after
+// `since`, or null when there is none
+export async function fetchNewestMatchTime({ searchQuery, filters, since }) {
+  let query = applyCarFilters(baseQuery(searchQuery), filters);
+  if (since) query = query.gt('created_at', since);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.created_at || null;
+}
+
+// Distinct brands with their number of listings, for the brand chips
+export async function fetchCarBrands() {
+  const { data, error } = await supabase.rpc('car_brands');
+  if (error) throw error;
+  return data || [];
+}
+
+// Appends a page to the list without duplicates (rows can shift between
+// pages when listings are added while scrolling).
+export function appendPage(cars, pageCars) {
+  const seen = new Set(cars.map((car) => car.id));
+  return [...cars, ...pageCars.filter((car) => !seen.has(car.id))];
+}
+
+/**
+ * Calls `onChange({ type, car, id })` for every insert, update or delete on
+ * `cars`. `type` is 'INSERT', 'UPDATE' or 'DELETE'; `car` is the mapped new
+ * row (null for deletes). Returns an unsubscribe function.
+ */
+export function subscribeToCars(onChange) {
+  const name = `cars:${Math.random().toString(36).slice(2, 10)}`;
+  const channel = supabase
+    .channel(name)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'cars' }, (payload) => {
+      const car = payload.eventType === 'DELETE' ? null : carFromRow(payload.new);
+      onChange({
+        type: payload.eventType,
+        car,
+        id: car ? car.id : payload.old.id,
+      });
+    })
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+function sortValue(car, field) {
+  if (field === 'createdAt' || field === 'priceDroppedAt') {
+    return car[field] ? Date.parse(car[field]) : null;
+  }
+  const number = Number(car[field]);
+  return car[field] == null || Number.isNaN(number) ? null : number;
+}
+
+// Same order as applyCarSort: nulls last, then `id` ascending
+function compareCars(a, b, order) {
+  const av = sortValue(a, order.field);
+  const bv = sortValue(b, order.field);
+  if (av !== bv) {
+    if (av === null) return 1;
+    if (bv === null) return -1;
+    return order.ascending ? av - bv : bv - av;
+  }
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Merges a Realtime change from `subscribeToCars` into the loaded feed.
+ *
+ * Rows are only placed where the database would have put them: they must
+ * have a feed status, not be hidden and pass `filters`, and a row that
+ * sorts after the last loaded car is left for pagination when `hasMore`.
+ * Full-text matching only happens in the database, so while searching
+ * changes only update or remove cars that are already listed.
+ *
+ * Returns `{ cars, totalDelta }`. The total can drift for rows on pages
+ * that are not loaded yet; the next load corrects it.
+ */
+export function mergeCarChange(cars, change, { searchQuery, sortBy, filters, hasMore }) {
+  const index = cars.findIndex((car) => car.id === change.id);
+  const present = index !== -1;
+  const without = present ? cars.filter((car) => car.id !== change.id) : cars;
+
+  if (change.type === 'DELETE') {
+    return { cars: without, totalDelta: present ? -1 : 0 };
+  }
+
+  const matches = FEED_STATUSES.includes(change.car.status)
+    && !change.car.hiddenAt
+    && carMatchesFilters(change.car, filters);
+  if (!matches) {
+    return { cars: without, totalDelta: present ? -1 : 0 };
+  }
+
+  const searching = Boolean((searchQuery || '').trim());
+  if (searching) {
+    if (!present) return { cars, totalDelta: 0 };
+    const next = [...cars];
+    next[index] = change.car;
+    return { cars: next, totalDelta: 0 };
+  }
+
+  const order = SORT_ORDERS[sortBy] || SORT_ORDERS.date;
+  let position = without.findIndex((car) => compareCars(change.car, car, order) < 0);
+  if (position === -1) {
+    if (hasMore) {
+      return { cars: without, totalDelta: change.type === 'INSERT' ? 1 : 0 };
+    }
+    position = without.length;
+  }
+
+  const next = [...without];
+  next.splice(position, 0, change.car);
+  return { cars: next, totalDelta: change.type === 'INSERT' ? 1 : 0 };
+}
@@ -0,0 +1,49 @@
+import { supabase } from './supabase-client';
+import { carFromRow, CAR_COLUMNS } from './car-mapper';
+
+// `car` is null once the listing has been deleted; `snapshot` still holds
+// brand, model, year, km, price and a cover image from when it was saved.
+export function favoriteFromRow(row) {
+  return {
+    id: row.id,
+    carId: row.car_id,
+    createdAt: row.created_at,
+    snapshot: row.car_snapshot || {},
+    car: row.car ? carFromRow(row.car) : null,
+  };
+}
+
+export async function fetchFavoriteCarIds() {
+  const { data, error } = await supabase
+    .from('favorites')
+    .select('car_id')
+    .not('car_id', 'is', null);
+  if (error) throw error;
+  return new Set((data || []).map((row) => row.car_id));
+}
+
+export async function fetchFavorites() {
+  const { data, error } = await supabase
+    .from('favorites')
+    .select(`id, car_id, car_snapshot, created_at, car:cars(${CAR_COLUMNS})`)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map(favoriteFromRow);
+}
+
+export async function addFavorite(userId, carId) {
+  const { error } = await supabase
+    .from('favorites')
+    .upsert([{ user_id: userId, car_id: carId }], { onConflict: 'user_id,car_id', ignoreDuplicates: true });
+  if (error) throw error;
+}
+
+export async function removeFavorite(carId) {
+  const { error } = await supabase.from('favorites').delete().eq('car_id', carId);
+  if (error) throw error;
+}
+
+export async function removeFavoriteById(id) {
+  const { error } = await supabase.from('favorites').delete().eq('id', id);
+  if (error) throw error;
+}
@@ -0,0 +1,121 @@
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import { decode } from 'base64-arraybuffer';
+import { supabase } from './supabase-client';
+
+export const CAR_IMAGES_BUCKET = 'car-images';
+
+const FULL_SIZE = { width: 1600, compress: 0.7 };
+const THUMBNAIL_SIZE = { width: 400, compress: 0.6 };
+
+const PUBLIC_PATH_MARKER = `/storage/v1/object/public/${CAR_IMAGES_BUCKET}/`;
+
+export function isRemoteImage(uri) {
+  return /^https?:\/\//.test(uri);
+}
+
+// Returns the object path inside the bucket for a public URL we uploaded,
+// or null for anything else (local files, external links).
+export function storagePathFromUrl(url) {
+  if (!url || !isRemoteImage(url)) return null;
+  const index = url.indexOf(PUBLIC_PATH_MARKER);
+  if (index === -1) return null;
+  return decodeURIComponent(url.slice(index + PUBLIC_PATH_MARKER.length).split('?')[0]);
+}
+
+// `original` is the photo already rendered once; it is only rendered again
+// when it has to be scaled down, never upscaled.
+async function renderJpeg(original, { width, compress }) {
+  const image = original.width > width
+    ? await ImageManipulator.manipulate(original).resize({ width }).renderAsync()
+    : original;
+  return image.saveAsync({ compress, format: SaveFormat.JPEG, base64: true });
+}
+
+async function uploadJpeg(path, base64) {
+  const { error } = await supabase.storage
+    .from(CAR_IMAGES_BUCKET)
+    .upload(path, decode(base64), { contentType: 'image/jpeg', upsert: false });
+  if (error) throw error;
+
+  const { data } = supabase.storage.from(CAR_IMAGES_BUCKET).getPublicUrl(path);
+  return data.publicUrl;
+}
+
+function newImageName() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Resizes, compresses and uploads every local image in `uris`. Images that
+ * are already remote URLs are kept as they are.
+ *
+ * `knownThumbnails` maps existing image URLs to their thumbnail URLs so an
+ * edited listing keeps the thumbnails it already has.
+ *
+ * Returns `{ images, thumbnails }`, two arrays in the same order as `uris`.
+ * If any upload fails, the objects this call already uploaded are removed
+ * again before the error is rethrown.
+ */
+export async function uploadCarImages(userId, uris, knownThumbnails = {}) {
+  const images = [];
+  const thumbnails = [];
+  const uploaded = [];
+
+  try {
+    for (const uri of uris) {
+      if (isRemoteImage(uri)) {
+        images.push(uri);
+        thumbnails.push(knownThumbnails[uri] || uri);
+        continue;
+      }
+
+      const name = `${userId}/${newImageName()}`;
+      const original = await ImageManipulator.manipulate(uri).renderAsync();
+      const full = await renderJpeg(original, FULL_SIZE);
+      const thumb = await renderJpeg(original, THUMBNAIL_SIZE);
+
+      const imageUrl = await uploadJpeg(`${name}.jpg`, full.base64);
+      uploaded.push(imageUrl);
+      const thumbnailUrl = await uploadJpeg(`${name}_thumb.jpg`, thumb.base64);
+      uploaded.push(thumbnailUrl);
+
+      images.push(imageUrl);
+      thumbnails.push(thumbnailUrl);
+    }
+  } catch (error) {
+    await removeStoredImages(uploaded);
+    throw error;
+  }
+
+  return { images, thumbnails };
+}
+
+// Maps each image URL of a car row to its thumbnail URL.
+export function thumbnailMap(car) {
+  const map = {};
+  (car?.images || []).forEach((url, index) => {
+    if (car.thumbnails?.[index]) map[url] = car.thumbnails[index];
+  });
+  return map;
+}
+
+/**
+ * Removes the storage objects behind the given URLs. Cleanup failures are
+ * logged but never thrown, since the listing itself is already gone.
+ */
+export async function removeStoredImages(urls) {
+  const paths = [...new Set(urls.map(storagePathFromUrl).filter(Boolean))];
+  if (paths.length === 0) return;
+
+  try {
+    const { error } = await supabase.storage.from(CAR_IMAGES_BUCKET).remove(paths);
+    if (error) console.error('Error removing images:', error);
+  } catch (error) {
+    console.error('Error removing images:', error);
+  }
+}
+
+// All storage URLs (full size and thumbnails) belonging to the given car rows.
+export function carImageUrls(cars) {
+  return cars.flatMap((car) => [...(car.images || []), ...(car.thumbnails || [])]);
+}
@@ -0,0 +1,26 @@
+// URLs that open the app. `billager://car/<id>` always opens the app; the
+// https form opens it when installed (see the associated domains and intent
+// filters in app.json).
+
+export const APP_SCHEME = 'billager';
+export const WEB_BASE_URL = 'https://billager.no';
+
+export function carAppUrl(id) {
+  return `${APP_SCHEME}://car/${encodeURIComponent(id)}`;
+}
+
+export function carWebUrl(id) {
+  return `${WEB_BASE_URL}/car/${encodeURIComponent(id)}`;
+}
+
+// Linking config for the NavigationContainer. Screen names match the stack
+// in App.js.
+export const linking = {
+  prefixes: [`${APP_SCHEME}://`, WEB_BASE_URL],
+  config: {
+    screens: {
+      Home: '',
+      CarDetails: 'car/:id',
+    },
+  },
+};
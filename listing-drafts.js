@@ -0,0 +1,110 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Directory, Paths } from 'expo-file-system';
+import { LISTING_FIELDS } from './listing-schema';
+import { keepPhotosIn } from './local-photos';
+
+// Listings that are still being written, autosaved on the device as the
+// seller types so backing out (or the app being killed) loses nothing.
+//
+// Draft: { id, userId, name, values, updatedAt }
+//   name   - chosen by the seller; empty means "use the brand and model"
+//   values - ListingForm values, with photos copied out of the cache
+const DRAFTS_KEY = '@billager_listing_drafts';
+
+async function readDrafts() {
+  try {
+    const stored = await AsyncStorage.getItem(DRAFTS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading drafts:', error);
+    return [];
+  }
+}
+
+async function writeDrafts(drafts) {
+  await AsyncStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+}
+
+export function newDraftId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// True while nothing has been typed or picked, so no draft is worth keeping
+export function isDraftEmpty(values) {
+  return (values.images || []).length === 0
+    && LISTING_FIELDS.every((field) => !String(values[field.name] ?? '').trim());
+}
+
+export function draftTitle(draft) {
+  if (draft.name) return draft.name;
+  const title = [draft.values.brand, draft.values.model].filter(Boolean).join(' ').trim();
+  return title || 'Untitled draft';
+}
+
+function draftDirectory(id) {
+  return new Directory(Paths.document, 'listing-drafts', id);
+}
+
+// Local photos are copied next to the draft; repeated autosaves copy
+// nothing new
+function persistDraftImages(id, images) {
+  if (Platform.OS === 'web') return images;
+  return keepPhotosIn(draftDirectory(id), images);
+}
+
+function removeDraftImages(id) {
+  if (Platform.OS === 'web') return;
+  const directory = draftDirectory(id);
+  if (directory.exists) directory.delete();
+}
+
+// The user's drafts, most recently edited first
+export async function listDrafts(userId) {
+  const drafts = await readDrafts();
+  return drafts
+    .filter((draft) => draft.userId === userId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Creates or replaces the draft with `id`. Returns the stored draft, whose
+ * `values.images` point at the persisted copies.
+ */
+export async function saveDraft({ id, userId, name = '', values }) {
+  const original = values.images || [];
+  const images = persistDraftImages(id, original);
+  // Angle tags are keyed by uri, so they follow the photos to their copies
+  const imageAngles = {};
+  original.forEach((uri, index) => {
+    if (values.imageAngles?.[uri]) imageAngles[images[index]] = values.imageAngles[uri];
+  });
+  const draft = {
+    id,
+    userId,
+    name: name.trim(),
+    values: { ...values, images, imageAngles },
+    updatedAt: new Date().toISOString(),
+  };
+
+  // Re-read so a save from another screen in the meantime is kept
+  const drafts = await readDrafts();
+  const index = drafts.findIndex((d) => d.id === id);
+  if (index === -1) {
+    drafts.push(draft);
+  } else {
+    drafts[index] = draft;
+  }
+  await writeDrafts(drafts);
+  return draft;
+}
+
+export async function deleteDraft(id) {
+  const drafts = await readDrafts();
+  await writeDrafts(drafts.filter((draft) => draft.id !== id));
+  try {
+    removeDraftImages(id);
+  } catch (error) {
+    console.error('Error removing draft photos:', error);
+  }
+}
@@ -0,0 +1,97 @@
+import { supabase } from './supabase-client';
+import { carFromRow, CAR_COLUMNS } from './car-mapper';
+
+// Reports buyers file against listings and the admin queue that handles
+// them. Closing a report (and hiding the listing) happens in the
+// `resolve_listing_report` function, which also notifies the people involved.
+
+export const REPORT_REASONS = [
+  { value: 'scam', label: 'Scam or fraud' },
+  { value: 'wrong_info', label: 'Wrong information' },
+  { value: 'sold', label: 'Already sold' },
+  { value: 'offensive', label: 'Offensive content' },
+  { value: 'duplicate', label: 'Duplicate listing' },
+  { value: 'other', label: 'Other' },
+];
+
+export const REPORT_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'resolved', label: 'Resolved' },
+];
+
+const REPORT_COLUMNS = `
+  id, car_id, reporter_id, seller_id, car_title, reason, note, status, action,
+  resolved_at, created_at,
+  car:cars(${CAR_COLUMNS}),
+  reporter:users!listing_reports_reporter_id_fkey(username, email),
+  seller:users!listing_reports_seller_id_fkey(username, email)
+`;
+
+export function reportReasonLabel(reason) {
+  const found = REPORT_REASONS.find((r) => r.value === reason);
+  return found ? found.label : reason;
+}
+
+export function reportFromRow(row) {
+  return {
+    id: row.id,
+    carId: row.car_id,
+    reporterId: row.reporter_id,
+    sellerId: row.seller_id,
+    carTitle: row.car ? `${row.car.brand} ${row.car.model}` : row.car_title,
+    car: row.car ? carFromRow(row.car) : null,
+    reason: row.reason,
+    note: row.note,
+    status: row.status,
+    action: row.action,
+    reporterName: row.reporter?.username || '',
+    reporterEmail: row.reporter?.email || '',
+    sellerName: row.seller?.username || '',
+    sellerEmail: row.seller?.email || '',
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Seller, title and status are filled in from the car by the database
+export async function reportListing(car, reporterId, { reason, note = '' }) {
+  const { error } = await supabase
+    .from('listing_reports')
+    .insert([{ car_id: car.id, reporter_id: reporterId, reason, note: note.trim() }]);
+  if (error) {
+    if (error.code === '23505') throw new Error('You have already reported this listing');
+    throw error;
+  }
+}
+
+// Reports with `status`, oldest first so the queue is worked in order
+export async function fetchReports(status = 'open') {
+  const { data, error } = await supabase
+    .from('listing_reports')
+    .select(REPORT_COLUMNS)
+    .eq('status', status)
+    .order('created_at', { ascending: status === 'open' });
+  if (error) throw error;
+  return (data || []).map(reportFromRow);
+}
+
+// Reports still waiting in the queue
+export async function countOpenReports() {
+  const { count, error } = await supabase
+    .from('listing_reports')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'open');
+  if (error) throw error;
+  return count || 0;
+}
+
+// `action` is 'dismiss', 'hide' or 'warn'; `message` goes to the seller
+export async function resolveReport(report, action, message = '') {
+  const { error } = await supabase.rpc('resolve_listing_report', {
+    target_report_id: report.id,
+    report_action: action,
+    message: message.trim(),
+  });
+  if (error) throw error;
+}
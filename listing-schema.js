@@ -0,0 +1,388 @@
+import { isValidRegnr, normalizeRegnr, formatRegnr } from './vehicle-lookup';
+import {
+  FUEL_TYPES,
+  GEARBOXES,
+  DRIVETRAINS,
+  BODY_TYPES,
+  COLORS,
+  optionLabel,
+  isValidVin,
+  normalizeVin,
+} from './vehicle-specs';
+
+// The listing form, declared once. AddCarScreen and EditCarScreen render
+// these fields in order and the save path validates against them, so a new
+// field only needs an entry here (plus its column in car-mapper.js).
+//
+// This module has no React Native imports so it can be bundled into a
+// server-side check as well.
+//
+// Field keys:
+//   name          form / listing key (camelCase, as in car-mapper.js)
+//   section       one of LISTING_SECTIONS
+//   label, unit   shown as "Label (unit)"; errors use the bare label
+//   type          'text' (default), 'integer', 'date', 'choice' or 'regnr'
+//   required      must not be empty
+//   validate      (value, values) => error message or null, for non-empty values
+//   options       [{ value, label }] for 'choice'
+//   toForm        listing value -> form string (default: String)
+//   toData        form string -> value handed to onSave (default: as is)
+//   spec          listed in the spec grid on the details screen
+//   display       listing value -> text for the spec grid (default: String)
+//   placeholder, keyboardType, multiline, autoCapitalize  passed to the input
+
+// Photos per listing; the first one is the cover
+export const MAX_PHOTOS = 20;
+
+export const LISTING_SECTIONS = [
+  { id: 'registration', title: 'Registration' },
+  { id: 'details', title: 'Car Details' },
+  { id: 'specs', title: 'Specifications' },
+  { id: 'contact', title: 'Contact Information' },
+];
+
+function isValidIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('nb-NO');
+}
+
+function oneOf(options, message) {
+  return (value) => (options.some((option) => option.value === value) ? null : message);
+}
+
+function parseInteger(value) {
+  const text = String(value).replace(/\s/g, '');
+  return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+export function integerBetween(min, max, message) {
+  return (value) => {
+    const number = parseInteger(value);
+    const upper = typeof max === 'function' ? max() : max;
+    if (number === null || number < min || (upper != null && number > upper)) return message;
+    return null;
+  };
+}
+
+export const LISTING_FIELDS = [
+  {
+    name: 'regnr',
+    section: 'registration',
+    label: 'Regnr',
+    type: 'regnr',
+    placeholder: 'e.g. AB 12345',
+    autoCapitalize: 'characters',
+    validate: (value) => (isValidRegnr(value) ? null : 'Invalid registration number'),
+    toForm: formatRegnr,
+    toData: normalizeRegnr,
+    spec: true,
+    display: formatRegnr,
+  },
+  {
+    name: 'firstRegistration',
+    section: 'registration',
+    label: 'First registered',
+    type: 'date',
+    placeholder: 'YYYY-MM-DD',
+    keyboardType: 'numbers-and-punctuation',
+    validate: (value) => (isValidIsoDate(value) ? null : 'Use the format YYYY-MM-DD'),
+    spec: true,
+    display: formatDate,
+  },
+  {
+    name: 'nextEuControl',
+    section: 'registration',
+    label: 'Next EU-kontroll',
+    type: 'date',
+    placeholder: 'YYYY-MM-DD',
+    keyboardType: 'numbers-and-punctuation',
+    validate: (value) => (isValidIsoDate(value) ? null : 'Use the format YYYY-MM-DD'),
+    spec: true,
+    display: formatDate,
+  },
+  {
+    name: 'vin',
+    section: 'registration',
+    label: 'VIN',
+    placeholder: '17 characters',
+    autoCapitalize: 'characters',
+    validate: (value) => (isValidVin(value) ? null : 'A VIN is 17 letters and digits (no I, O or Q)'),
+    toData: normalizeVin,
+    spec: true,
+  },
+  {
+    name: 'brand',
+    section: 'details',
+    label: 'Brand',
+    required: true,
+    placeholder: 'e.g. Toyota, BMW, Volvo',
+    toData: (value) => value.trim(),
+  },
+  {
+    name: 'model',
+    section: 'details',
+    label: 'Model',
+    required: true,
+    placeholder: 'e.g. Corolla, X5, V70',
+  },
+  {
+    name: 'year',
+    section: 'details',
+    label: 'Year',
+    type: 'integer',
+    required: true,
+    placeholder: 'e.g. 2020',
+    validate: integerBetween(1900, () => new Date().getFullYear() + 1, 'Invalid year'),
+    toData: parseInteger,
+  },
+  {
+    name: 'km',
+    section: 'details',
+    label: 'Mileage',
+    type: 'integer',
+    required: true,
+    placeholder: 'e.g. 50000',
+    validate: integerBetween(0, null, 'Invalid mileage'),
+    toData: parseInteger,
+  },
+  {
+    name: 'price',
+    section: 'details',
+    label: 'Price',
+    unit: 'kr',
+    type: 'integer',
+    required: true,
+    placeholder: 'e.g. 250000',
+    validate: integerBetween(0, null, 'Invalid price'),
+    toData: parseInteger,
+  },
+  {
+    name: 'description',
+    section: 'details',
+    label: 'Description',
+    placeholder: 'Describe the car, equipment, condition...',
+    multiline: true,
+  },
+  {
+    name: 'fuelType',
+    section: 'specs',
+    label: 'Fuel',
+    type: 'choice',
+    options: FUEL_TYPES,
+    validate: oneOf(FUEL_TYPES, 'Invalid fuel'),
+    spec: true,
+    display: (value) => optionLabel(FUEL_TYPES, value),
+  },
+  {
+    name: 'gearbox',
+    section: 'specs',
+    label: 'Gearbox',
+    type: 'choice',
+    options: GEARBOXES,
+    validate: oneOf(GEARBOXES, 'Invalid gearbox'),
+    spec: true,
+    display: (value) => optionLabel(GEARBOXES, value),
+  },
+  {
+    name: 'drivetrain',
+    section: 'specs',
+    label: 'Drivetrain',
+    type: 'choice',
+    options: DRIVETRAINS,
+    validate: oneOf(DRIVETRAINS, 'Invalid drivetrain'),
+    spec: true,
+    display: (value) => optionLabel(DRIVETRAINS, value),
+  },
+  {
+    name: 'bodyType',
+    section: 'specs',
+    label: 'Body type',
+    type: 'choice',
+    options: BODY_TYPES,
+    validate: oneOf(BODY_TYPES, 'Invalid body type'),
+    spec: true,
+    display: (value) => optionLabel(BODY_TYPES, value),
+  },
+  {
+    name: 'color',
+    section: 'specs',
+    label: 'Color',
+    type: 'choice',
+    options: COLORS,
+    validate: oneOf(COLORS, 'Invalid color'),
+    spec: true,
+    display: (value) => optionLabel(COLORS, value),
+  },
+  {
+    name: 'seats',
+    section: 'specs',
+    label: 'Seats',
+    type: 'integer',
+    placeholder: 'e.g. 5',
+    validate: integerBetween(1, 20, 'Invalid number of seats'),
+    toData: parseInteger,
+    spec: true,
+  },
+  {
+    name: 'powerKw',
+    section: 'specs',
+    label: 'Power',
+    unit: 'kW',
+    type: 'integer',
+    placeholder: 'e.g. 110',
+    validate: integerBetween(0, null, 'Invalid power'),
+    toData: parseInteger,
+    spec: true,
+    display: (value) => `${value} kW (${Math.round(value * 1.36)} hk)`,
+  },
+  {
+    name: 'previousOwners',
+    section: 'specs',
+    label: 'Previous owners',
+    type: 'integer',
+    placeholder: 'e.g. 2',
+    validate: integerBetween(0, 99, 'Invalid number of owners'),
+    toData: parseInteger,
+    spec: true,
+  },
+  {
+    name: 'ownerName',
+    section: 'contact',
+    label: 'Name',
+    required: true,
+    placeholder: 'Your name',
+  },
+  {
+    name: 'ownerPhone',
+    section: 'contact',
+    label: 'Phone',
+    required: true,
+    placeholder: 'Your phone number',
+    keyboardType: 'phone-pad',
+  },
+  {
+    name: 'ownerEmail',
+    section: 'contact',
+    label: 'Email',
+    placeholder: 'Your email',
+    keyboardType: 'email-address',
+    validate: (value) => (/^[^\s@]+@[^\s@]+$/.test(value.trim()) ? null : 'Invalid email address'),
+  },
+];
+
+/**
+ * `{ name, label, value }` rows for the details screen's spec grid: the
+ * specifications first, then registration data, skipping empty fields.
+ */
+export function listingSpecs(car) {
+  return ['specs', 'registration'].flatMap((section) => LISTING_FIELDS
+    .filter((field) => field.section === section && field.spec)
+    .filter((field) => car[field.name] != null && car[field.name] !== '')
+    .map((field) => ({
+      name: field.name,
+      label: field.label,
+      value: field.display ? field.display(car[field.name]) : String(car[field.name]),
+    })));
+}
+
+export function fieldLabel(field) {
+  const label = field.unit ? `${field.label} (${field.unit})` : field.label;
+  return field.required ? `${label} *` : label;
+}
+
+function isEmpty(value) {
+  return value == null || String(value).trim() === '';
+}
+
+// Photo angle tags (shot-list.js) live in the form as `imageAngles`, keyed
+// by photo uri so reordering and removing photos cannot misalign them. On a
+// listing they are an array in the same order as `images`.
+
+// An empty form: every field blank and no photos
+export function emptyListingForm() {
+  const values = { images: [], imageAngles: {} };
+  LISTING_FIELDS.forEach((field) => {
+    values[field.name] = '';
+  });
+  return values;
+}
+
+/**
+ * Form strings for the fields `source` has a value for (a listing or a
+ * vehicle lookup result). Missing fields are left out, so the result can be
+ * merged over what the seller already typed.
+ */
+export function listingFormValues(source) {
+  const values = {};
+  LISTING_FIELDS.forEach((field) => {
+    const value = source[field.name];
+    if (value === undefined || value === null) return;
+    values[field.name] = field.toForm ? field.toForm(value) : String(value);
+  });
+  return values;
+}
+
+export function listingFormFromCar(car) {
+  const images = car.images || [];
+  const imageAngles = {};
+  images.forEach((uri, index) => {
+    if (car.imageAngles?.[index]) imageAngles[uri] = car.imageAngles[index];
+  });
+  return {
+    ...emptyListingForm(),
+    ...listingFormValues(car),
+    images,
+    imageAngles,
+  };
+}
+
+/**
+ * Checks form values (or listing data from `listingDataFromForm`) against
+ * the schema. Returns `{ fieldName: message }`, empty when valid.
+ */
+export function validateListing(values) {
+  const errors = {};
+  LISTING_FIELDS.forEach((field) => {
+    const value = values[field.name];
+    if (isEmpty(value)) {
+      if (field.required) errors[field.name] = `${field.label} is required`;
+      return;
+    }
+    const error = field.validate && field.validate(String(value), values);
+    if (error) errors[field.name] = error;
+  });
+  if ((values.images || []).length > MAX_PHOTOS) {
+    errors.images = `Up to ${MAX_PHOTOS} photos`;
+  }
+  return errors;
+}
+
+// Converts form values to the listing data the save path stores
+export function listingDataFromForm(values) {
+  const images = values.images || [];
+  const data = {
+    images,
+    imageAngles: images.map((uri) => values.imageAngles?.[uri] || ''),
+  };
+  LISTING_FIELDS.forEach((field) => {
+    const value = values[field.name];
+    data[field.name] = field.toData && !isEmpty(value) ? field.toData(value) : value;
+  });
+  return data;
+}
+
+// Throws when `values` fails validation; the error carries `fieldErrors`.
+export function assertValidListing(values) {
+  const errors = validateListing(values);
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    const error = new Error(messages.join(', '));
+    error.fieldErrors = errors;
+    throw error;
+  }
+}
@@ -0,0 +1,58 @@
+// Listing lifecycle. The database enforces the same transitions
+// (car_status_transition_allowed in the listing status migration) and
+// moves active listings to 'expired' once `expiresAt` has passed.
+
+export const LISTING_STATUSES = [
+  { value: 'draft', label: 'Draft' },
+  { value: 'active', label: 'For sale' },
+  { value: 'reserved', label: 'Reserved' },
+  { value: 'sold', label: 'Sold' },
+  { value: 'expired', label: 'Expired' },
+];
+
+// Shown in the feed and counted by saved searches; sold and expired
+// listings stay reachable by link
+export const FEED_STATUSES = ['active', 'reserved'];
+
+// Changes a seller can make. 'expired' is only ever set by the server.
+export const STATUS_TRANSITIONS = {
+  draft: ['active'],
+  active: ['reserved', 'sold'],
+  reserved: ['active', 'sold'],
+  sold: ['active'],
+  expired: ['active'],
+};
+
+// Days before expiry from which the seller is reminded to renew
+export const EXPIRY_WARNING_DAYS = 7;
+
+export function statusLabel(status) {
+  const found = LISTING_STATUSES.find((s) => s.value === status);
+  return found ? found.label : '';
+}
+
+// Button label for moving a listing from `from` to `to`
+export function statusActionLabel(from, to) {
+  if (to === 'active') {
+    return { draft: 'Publish', reserved: 'Available again', sold: 'Relist' }[from] || 'For sale';
+  }
+  return { reserved: 'Mark reserved', sold: 'Mark sold' }[to] || statusLabel(to);
+}
+
+export function canChangeStatus(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Whole days until `car` expires (0 on the last day), or null when it does not
+export function daysUntilExpiry(car, now = Date.now()) {
+  if (car.status !== 'active' || !car.expiresAt) return null;
+  const left = Date.parse(car.expiresAt) - now;
+  return Math.max(Math.floor(left / (24 * 60 * 60 * 1000)), 0);
+}
+
+// Active listings close to expiry and expired ones can be renewed
+export function canRenew(car) {
+  if (car.status === 'expired') return true;
+  const days = daysUntilExpiry(car);
+  return days !== null && days <= EXPIRY_WARNING_DAYS;
+}
@@ -0,0 +1,35 @@
+import { File } from 'expo-file-system';
+import { isRemoteImage } from './image-upload';
+
+// Camera, picker and cropper photos live in the cache, which the OS may
+// clear, so anything that has to keep them (listing drafts, queued offline
+// changes) copies them into a directory of its own.
+
+/**
+ * Copies the local photos in `uris` into `directory` and returns the uris
+ * to use instead, in the same order. Remote URLs and photos already in
+ * `directory` are kept as they are.
+ *
+ * Copies are named after the photo's content (md5), never its file name:
+ * cameras and pickers reuse names, so two different photos can share one.
+ * Saving the same photos again copies nothing. Files in `directory` that
+ * are no longer used are removed.
+ */
+export function keepPhotosIn(directory, uris) {
+  directory.create({ intermediates: true, idempotent: true });
+
+  const kept = uris.map((uri) => {
+    if (isRemoteImage(uri) || uri.startsWith(directory.uri)) return uri;
+    const source = new File(uri);
+    const hash = source.md5;
+    if (!hash) throw new Error(`Could not read photo ${source.name}`);
+    const copy = new File(directory, `${hash}${source.extension || '.jpg'}`);
+    if (!copy.exists) source.copy(copy);
+    return copy.uri;
+  });
+
+  directory.list().forEach((entry) => {
+    if (entry instanceof File && !kept.includes(entry.uri)) entry.delete();
+  });
+  return kept;
+}
@@ -0,0 +1,146 @@
+import { supabase } from './supabase-client';
+
+const CONVERSATION_COLUMNS = `
+  id, car_id, buyer_id, seller_id, car_title, created_at, last_message_at,
+  car:cars(id, brand, model, images, thumbnails),
+  buyer:profiles!conversations_buyer_id_fkey(username),
+  seller:profiles!conversations_seller_id_fkey(username)
+`;
+
+export function conversationFromRow(row) {
+  return {
+    id: row.id,
+    carId: row.car_id,
+    buyerId: row.buyer_id,
+    sellerId: row.seller_id,
+    carTitle: row.car
+      ? `${row.car.brand} ${row.car.model}`
+      : row.car_title,
+    carImage: row.car ? (row.car.thumbnails?.[0] || row.car.images?.[0] || null) : null,
+    carRemoved: !row.car,
+    buyerName: row.buyer?.username || '',
+    sellerName: row.seller?.username || '',
+    createdAt: row.created_at,
+    lastMessageAt: row.last_message_at,
+    unreadCount: 0,
+  };
+}
+
+export function messageFromRow(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    senderId: row.sender_id,
+    body: row.body,
+    createdAt: row.created_at,
+    readAt: row.read_at,
+  };
+}
+
+/**
+ * Returns the conversation between `buyerId` and the seller of `car`,
+ * creating it on first contact.
+ */
+export async function startConversation(car, buyerId) {
+  const { data: existing, error: findError } = await supabase
+    .from('conversations')
+    .select(CONVERSATION_COLUMNS)
+    .eq('car_id', car.id)
+    .eq('buyer_id', buyerId)
+    .maybeSingle();
+  if (findError) throw findError;
+  if (existing) return conversationFromRow(existing);
+
+  // seller_id and car_title are filled in from the car by the database
+  const { data, error } = await supabase
+    .from('conversations')
+    .insert([{ car_id: car.id, buyer_id: buyerId, seller_id: car.userId }])
+    .select(CONVERSATION_COLUMNS)
+    .single();
+  if (error) throw error;
+  return conversationFromRow(data);
+}
+
+export async function fetchConversations(userId) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select(CONVERSATION_COLUMNS)
+    .order('last_message_at', { ascending: false });
+  if (error) throw error;
+
+  const { data: unread, error: unreadError } = await supabase
+    .from('messages')
+    .select('conversation_id')
+    .is('read_at', null)
+    .neq('sender_id', userId);
+  if (unreadError) throw unreadError;
+
+  const unreadCounts = {};
+  (unread || []).forEach(({ conversation_id: id }) => {
+    unreadCounts[id] = (unreadCounts[id] || 0) + 1;
+  });
+
+  return (data || []).map((row) => ({
+    ...conversationFromRow(row),
+    unreadCount: unreadCounts[row.id] || 0,
+  }));
+}
+
+export async function fetchUnreadMessageCount(userId) {
+  const { count, error } = await supabase
+    .from('messages')
+    .select('id', { count: 'exact', head: true })
+    .is('read_at', null)
+    .neq('sender_id', userId);
+  if (error) throw error;
+  return count || 0;
+}
+
+export async function fetchMessages(conversationId) {
+  const { data, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(messageFromRow);
+}
+
+export async function sendMessage(conversationId, senderId, body) {
+  const { data, error } = await supabase
+    .from('messages')
+    .insert([{ conversation_id: conversationId, sender_id: senderId, body: body.trim() }])
+    .select()
+    .single();
+  if (error) throw error;
+  return messageFromRow(data);
+}
+
+export async function markConversationRead(conversationId, userId) {
+  const { error } = await supabase
+    .from('messages')
+    .update({ read_at: new Date().toISOString() })
+    .eq('conversation_id', conversationId)
+    .neq('sender_id', userId)
+    .is('read_at', null);
+  if (error) throw error;
+}
+
+/**
+ * Calls `onChange(payload)` for every message insert or update the user is
+ * allowed to see (RLS applies to Realtime too). `conversationId` narrows it
+ * to one thread. Returns an unsubscribe function.
+ */
+export function subscribeToMessages(onChange, conversationId = null) {
+  const filter = conversationId ? { filter: `conversation_id=eq.${conversationId}` } : {};
+  // Several screens subscribe at once, so every channel gets its own name
+  const name = `messages:${conversationId || 'all'}:${Math.random().toString(36).slice(2, 10)}`;
+  const channel = supabase
+    .channel(name)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'messages', ...filter }, onChange)
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
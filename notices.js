@@ -0,0 +1,54 @@
+import { supabase } from './supabase-client';
+
+// Messages from the moderators: warnings about a listing and the outcome of
+// reports the user filed. They are written by the database only.
+
+export function noticeFromRow(row) {
+  return {
+    id: row.id,
+    carId: row.car_id,
+    title: row.title,
+    body: row.body,
+    createdAt: row.created_at,
+    readAt: row.read_at,
+  };
+}
+
+// The user's unread notices, newest first
+export async function fetchUnreadNotices() {
+  const { data, error } = await supabase
+    .from('user_notices')
+    .select('*')
+    .is('read_at', null)
+    .order('created_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map(noticeFromRow);
+}
+
+export async function markNoticeRead(noticeId) {
+  const { error } = await supabase
+    .from('user_notices')
+    .update({ read_at: new Date().toISOString() })
+    .eq('id', noticeId);
+  if (error) throw error;
+}
+
+/**
+ * Calls `onChange()` whenever a notice for the user is added or marked read.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToNotices(userId, onChange) {
+  const name = `notices:${Math.random().toString(36).slice(2, 10)}`;
+  const channel = supabase
+    .channel(name)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'user_notices', filter: `user_id=eq.${userId}` },
+      onChange
+    )
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
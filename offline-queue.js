@@ -0,0 +1,243 @@
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Directory, Paths } from 'expo-file-system';
+import {
+  insertCarListing,
+  updateCarListing,
+  deleteCarListing,
+  fetchCarUpdatedAt,
+} from './car-mutations';
+import { fetchCarById } from './car-query';
+import { isRemoteImage } from './image-upload';
+import { keepPhotosIn } from './local-photos';
+
+// addCar / updateCar / deleteCar calls made without a connection are kept
+// here, in order, and replayed when the app is back online.
+//
+// Entry: { id, userId, type: 'add' | 'update' | 'delete', car, carId, data, createdAt }
+//   car   - the listing as the user saw it (update/delete); its `updatedAt`
+//           is the server version the change was based on
+//   carId - the id the listing is inserted with (add), so an add whose
+//           response was lost is not inserted a second time
+//   data  - form data (add/update)
+const QUEUE_KEY = '@billager_pending_mutations';
+
+export function isNetworkError(error) {
+  const message = String(error?.message || error || '');
+  return /network request failed|failed to fetch|network error|timed? ?out/i.test(message);
+}
+
+async function readQueue() {
+  try {
+    const stored = await AsyncStorage.getItem(QUEUE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading offline queue:', error);
+    return [];
+  }
+}
+
+async function writeQueue(queue) {
+  await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+}
+
+function queueDirectory(id) {
+  return new Directory(Paths.document, 'offline-queue', id);
+}
+
+// The photos of a queued add or edit may live in the cache or in a listing
+// draft, which is deleted as soon as the change is queued, so local photos
+// are copied next to the entry until it has been replayed.
+function persistQueuedImages(id, data) {
+  const images = data?.images || [];
+  if (Platform.OS === 'web' || images.every(isRemoteImage)) return data;
+  return { ...data, images: keepPhotosIn(queueDirectory(id), images) };
+}
+
+function removeQueuedImages(ids) {
+  if (Platform.OS === 'web') return;
+  ids.forEach((id) => {
+    try {
+      const directory = queueDirectory(id);
+      if (directory.exists) directory.delete();
+    } catch (error) {
+      console.error('Error removing queued photos:', error);
+    }
+  });
+}
+
+/**
+ * Adds a mutation to the queue. A second change to the same car replaces a
+ * queued update instead of stacking on top of it, so the conflict check
+ * still compares against the version the user originally edited. Changes to
+ * a car that was itself added offline are folded into its queued add.
+ */
+export async function enqueueMutation(mutation) {
+  const queue = await readQueue();
+  const { car } = mutation;
+
+  if (car?.pendingId) {
+    const index = queue.findIndex((e) => e.id === car.pendingId);
+    if (index !== -1) {
+      if (mutation.type === 'delete') {
+        queue.splice(index, 1);
+        removeQueuedImages([car.pendingId]);
+      } else {
+        queue[index] = {
+          ...queue[index],
+          data: persistQueuedImages(car.pendingId, mutation.data),
+        };
+      }
+      await writeQueue(queue);
+    }
+    return queue[index] || null;
+  }
+
+  const existingIndex = car
+    ? queue.findIndex((e) => e.type === 'update' && e.car?.id === car.id)
+    : -1;
+  const existing = queue[existingIndex];
+  const id = existing ? existing.id : `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  const entry = {
+    ...mutation,
+    id,
+    data: persistQueuedImages(id, mutation.data),
+    createdAt: new Date().toISOString(),
+  };
+
+  if (existing) {
+    queue[existingIndex] = { ...entry, car: existing.car };
+  } else {
+    queue.push(entry);
+  }
+
+  await writeQueue(queue);
+  return entry;
+}
+
+export async function readUserQueue(userId) {
+  const queue = await readQueue();
+  return queue.filter((entry) => entry.userId === userId);
+}
+
+/**
+ * The car list as it will look once `queue` has synced: queued adds on top
+ * (marked `pendingId`), queued updates merged in (marked `pending`) and
+ * queued deletes left out.
+ */
+export function applyPendingMutations(cars, queue) {
+  if (queue.length === 0) return cars;
+
+  const updates = {};
+  const deleted = new Set();
+  const added = [];
+  queue.forEach((entry) => {
+    if (entry.type === 'add') {
+      added.unshift({
+        ...entry.data,
+        id: `pending-${entry.id}`,
+        pendingId: entry.id,
+        pending: true,
+        userId: entry.userId,
+        thumbnails: [],
+        createdAt: entry.createdAt,
+        updatedAt: entry.createdAt,
+      });
+    } else if (entry.type === 'update') {
+      updates[entry.car.id] = entry.data;
+    } else {
+      deleted.add(entry.car.id);
+    }
+  });
+
+  const merged = cars
+    .filter((car) => !deleted.has(car.id))
+    .map((car) => (updates[car.id]
+      ? { ...car, ...updates[car.id], thumbnails: [], pending: true }
+      : car));
+  return [...added, ...merged];
+}
+
+function sameVersion(a, b) {
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+async function applyMutation(entry, { force = false } = {}) {
+  if (entry.type === 'add') {
+    // Already there when an earlier attempt got through but its response did not
+    if (!entry.carId || await fetchCarUpdatedAt(entry.carId) === null) {
+      await insertCarListing(entry.userId, entry.data, entry.carId);
+    }
+    return null;
+  }
+
+  // The row as it is now decides which stored photos become unused, so
+  // photos added elsewhere since the change was queued are not lost
+  const current = await fetchCarById(entry.car.id);
+  if (!current) {
+    // Deleting something that is already gone is not a conflict
+    return entry.type === 'delete' ? null : 'deleted';
+  }
+  if (!force && entry.car.updatedAt && !sameVersion(current.updatedAt, entry.car.updatedAt)) {
+    return 'changed';
+  }
+
+  if (entry.type === 'update') {
+    await updateCarListing(entry.userId, current, entry.data);
+  } else {
+    await deleteCarListing(current);
+  }
+  return null;
+}
+
+/**
+ * Replays the user's queued mutations in order.
+ *
+ * When the server row changed (or disappeared) since the user edited it
+ * offline, `onConflict(entry, reason)` is awaited; it resolves to
+ * 'overwrite' to apply the change anyway or 'discard' to drop it. `reason`
+ * is 'changed' or 'deleted'. A deleted row cannot be overwritten.
+ *
+ * Any other error awaits `onFailure(entry, error)`, which resolves to
+ * 'discard' to drop the change or 'keep' to leave it queued for the next
+ * attempt. Entries whose id is in `skip` stay queued without being tried.
+ *
+ * Stops at the first network error and keeps the rest for the next attempt.
+ * Returns `{ applied, conflicts, failed }` counts.
+ */
+export async function replayQueue(userId, { onConflict, onFailure, skip = new Set() }) {
+  const queue = await readQueue();
+  const done = new Set();
+  const result = { applied: 0, conflicts: 0, failed: 0 };
+
+  for (const entry of queue) {
+    if (entry.userId !== userId || skip.has(entry.id)) continue;
+
+    try {
+      const conflict = await applyMutation(entry);
+      if (conflict) {
+        result.conflicts += 1;
+        const choice = await onConflict(entry, conflict);
+        if (choice === 'overwrite' && conflict === 'changed') {
+          await applyMutation(entry, { force: true });
+          result.applied += 1;
+        }
+      } else {
+        result.applied += 1;
+      }
+    } catch (error) {
+      if (isNetworkError(error)) break;
+      console.error('Error replaying offline change:', error);
+      result.failed += 1;
+      if (await onFailure(entry, error) !== 'discard') continue;
+    }
+    done.add(entry.id);
+  }
+
+  // Re-read so changes queued while we were replaying are kept
+  const latest = await readQueue();
+  await writeQueue(latest.filter((entry) => !done.has(entry.id)));
+  removeQueuedImages([...done]);
+  return result;
+}
@@ -0,0 +1,66 @@
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+
+// Rotate and crop for listing photos, applied on the device before upload.
+// Every edit renders a new local JPEG; the original file is left alone so
+// the form can still fall back to it.
+
+export const CROP_ASPECTS = [
+  { id: 'original', label: 'Original', ratio: null },
+  { id: '4:3', label: '4:3', ratio: 4 / 3 },
+  { id: '16:9', label: '16:9', ratio: 16 / 9 },
+  { id: '1:1', label: 'Square', ratio: 1 },
+];
+
+// Edits are saved at high quality; upload compresses them once more
+const EDIT_COMPRESS = 0.95;
+
+async function render(context) {
+  const image = await context.renderAsync();
+  const saved = await image.saveAsync({ compress: EDIT_COMPRESS, format: SaveFormat.JPEG });
+  return { uri: saved.uri, width: saved.width, height: saved.height };
+}
+
+// `{ uri, width, height }` of the image as it is, without re-encoding it
+export async function loadPhoto(uri) {
+  const image = await ImageManipulator.manipulate(uri).renderAsync();
+  return { uri, width: image.width, height: image.height };
+}
+
+// `degrees` is a multiple of 90; positive turns clockwise
+export async function rotatePhoto(uri, degrees) {
+  return render(ImageManipulator.manipulate(uri).rotate(degrees));
+}
+
+/**
+ * The largest `ratio` (width / height) rectangle inside a `width` x
+ * `height` image. `offset` (0-1) places it along the axis it can move on:
+ * 0 is the left or top edge, 1 the right or bottom edge.
+ *
+ * Returns `{ originX, originY, width, height }` in image pixels, or null
+ * for `ratio` null (no crop).
+ */
+export function cropRect({ width, height }, ratio, offset = 0.5) {
+  if (!ratio) return null;
+  const position = Math.min(Math.max(offset, 0), 1);
+
+  if (width / height > ratio) {
+    const cropWidth = Math.round(height * ratio);
+    return {
+      originX: Math.round((width - cropWidth) * position),
+      originY: 0,
+      width: cropWidth,
+      height,
+    };
+  }
+  const cropHeight = Math.round(width / ratio);
+  return {
+    originX: 0,
+    originY: Math.round((height - cropHeight) * position),
+    width,
+    height: cropHeight,
+  };
+}
+
+export async function cropPhoto(uri, rect) {
+  return render(ImageManipulator.manipulate(uri).crop(rect));
+}
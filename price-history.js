@@ -0,0 +1,31 @@
+import { supabase } from './supabase-client';
+
+// Price changes are recorded by a trigger on `cars` (see the price history
+// migration); the app only reads them.
+
+export function priceChangeFromRow(row) {
+  return {
+    id: row.id,
+    carId: row.car_id,
+    price: Number(row.price),
+    changedAt: row.changed_at,
+  };
+}
+
+// Every price the car has had, oldest first
+export async function fetchPriceHistory(carId) {
+  const { data, error } = await supabase
+    .from('car_price_history')
+    .select('*')
+    .eq('car_id', carId)
+    .order('changed_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(priceChangeFromRow);
+}
+
+// "Price reduced by 20 000 kr", or null when the price has not come down
+export function priceDropText(car) {
+  const drop = Number(car.priceDrop);
+  if (!drop || drop <= 0) return null;
+  return `Price reduced by ${drop.toLocaleString('nb-NO')} kr`;
+}
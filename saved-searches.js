@@ -0,0 +1,183 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+import { supabase } from './supabase-client';
+import { countCars, fetchNewestMatchTime } from './car-query';
+import { EMPTY_FILTERS } from './car-filters';
+
+export const SAVED_SEARCH_TASK = 'billager-saved-search-check';
+
+// `created_at` of the newest match we notified about, per saved search id.
+// Only listings newer than that (and than `lastSeenAt`) notify again, so
+// listings coming and going never re-announce ones the user already saw.
+const NOTIFIED_KEY = '@billager_saved_search_notified';
+
+// Background checks run at most this often (minutes)
+const BACKGROUND_INTERVAL = 60;
+
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+export function savedSearchFromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    searchQuery: row.search_query || '',
+    sortBy: row.sort_by || 'date',
+    filters: { ...EMPTY_FILTERS, ...(row.filters || {}) },
+    lastSeenAt: row.last_seen_at,
+    createdAt: row.created_at,
+    unseenCount: 0,
+  };
+}
+
+export async function fetchSavedSearches() {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+
+  const searches = (data || []).map(savedSearchFromRow);
+  await Promise.all(searches.map(async (search) => {
+    search.unseenCount = await countCars({
+      searchQuery: search.searchQuery,
+      filters: search.filters,
+      since: search.lastSeenAt,
+    });
+  }));
+  return searches;
+}
+
+export async function createSavedSearch(userId, { name, searchQuery, sortBy, filters }) {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .insert([{
+      user_id: userId,
+      name: name.trim(),
+      search_query: searchQuery.trim(),
+      sort_by: sortBy,
+      filters,
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return savedSearchFromRow(data);
+}
+
+export async function deleteSavedSearch(id) {
+  const { error } = await supabase.from('saved_searches').delete().eq('id', id);
+  if (error) throw error;
+}
+
+export async function markSavedSearchSeen(id) {
+  const { error } = await supabase
+    .from('saved_searches')
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('id', id);
+  if (error) throw error;
+}
+
+async function readNotified() {
+  try {
+    const stored = await AsyncStorage.getItem(NOTIFIED_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function rememberNotified(times) {
+  const current = await readNotified();
+  await AsyncStorage.setItem(NOTIFIED_KEY, JSON.stringify({ ...current, ...times }));
+}
+
+function laterTime(a, b) {
+  if (!a || !b) return a || b || null;
+  return new Date(a) > new Date(b) ? a : b;
+}
+
+/**
+ * Raises a local notification for every saved search that has gained new
+ * matches since we last notified about it.
+ */
+export async function notifyNewMatches(searches) {
+  const notified = await readNotified();
+  const times = {};
+
+  for (const search of searches) {
+    if (search.unseenCount === 0) continue;
+    const newest = await fetchNewestMatchTime({
+      searchQuery: search.searchQuery,
+      filters: search.filters,
+      since: laterTime(search.lastSeenAt, notified[search.id]),
+    });
+    if (newest) {
+      times[search.id] = newest;
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: search.name,
+          body: search.unseenCount === 1
+            ? '1 new car matches your saved search'
+            : `${search.unseenCount} new cars match your saved search`,
+          data: { savedSearchId: search.id },
+        },
+        trigger: null,
+      });
+    }
+  }
+
+  await rememberNotified(times);
+}
+
+// Loads saved searches with unseen counts and notifies about new matches.
+export async function checkSavedSearches() {
+  const searches = await fetchSavedSearches();
+  await notifyNewMatches(searches);
+  return searches;
+}
+
+export async function requestNotificationPermission() {
+  const { granted } = await Notifications.getPermissionsAsync();
+  if (granted) return true;
+  const result = await Notifications.requestPermissionsAsync();
+  return result.granted;
+}
+
+TaskManager.defineTask(SAVED_SEARCH_TASK, async () => {
+  try {
+    // The session is restored from AsyncStorage; without one there is
+    // nobody to check for.
+    const { data } = await supabase.auth.getSession();
+    if (!data.session) return BackgroundTask.BackgroundTaskResult.Success;
+
+    await checkSavedSearches();
+    return BackgroundTask.BackgroundTaskResult.Success;
+  } catch (error) {
+    console.error('Error checking saved searches:', error);
+    return BackgroundTask.BackgroundTaskResult.Failed;
+  }
+});
+
+export async function registerSavedSearchTask() {
+  const registered = await TaskManager.isTaskRegisteredAsync(SAVED_SEARCH_TASK);
+  if (!registered) {
+    await BackgroundTask.registerTaskAsync(SAVED_SEARCH_TASK, {
+      minimumInterval: BACKGROUND_INTERVAL,
+    });
+  }
+}
+
+export async function unregisterSavedSearchTask() {
+  const registered = await TaskManager.isTaskRegisteredAsync(SAVED_SEARCH_TASK);
+  if (registered) {
+    await BackgroundTask.unregisterTaskAsync(SAVED_SEARCH_TASK);
+  }
+}
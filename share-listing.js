@@ -0,0 +1,49 @@
+import { Platform, Share } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+import { carWebUrl } from './links';
+
+export function shareText(car) {
+  const price = `${parseInt(car.price || 0).toLocaleString('nb-NO')} kr`;
+  return `${car.brand} ${car.model} ${car.year} – ${price}`;
+}
+
+// Downloads the cover photo so the share sheet can attach the file itself
+async function downloadCover(car) {
+  const cover = car.images?.[0];
+  if (!cover) return null;
+  try {
+    const destination = new File(Paths.cache, `share-${car.id}.jpg`);
+    const file = await File.downloadFileAsync(cover, destination, { idempotent: true });
+    return file.uri;
+  } catch (error) {
+    console.error('Error downloading cover image:', error);
+    return null;
+  }
+}
+
+/**
+ * Opens the native share sheet for a listing: title, price, cover photo and
+ * the https link, which opens the app when it is installed and the public
+ * listing page otherwise.
+ *
+ * iOS attaches the photo next to the text. Android's share intent only
+ * carries text here, so the link stands in for the photo.
+ */
+export async function shareCar(car) {
+  const url = carWebUrl(car.id);
+  const text = shareText(car);
+
+  if (Platform.OS === 'ios') {
+    const imageUri = await downloadCover(car);
+    return Share.share({
+      message: `${text}\n${url}`,
+      ...(imageUri ? { url: imageUri } : {}),
+    });
+  }
+
+  return Share.share({
+    title: text,
+    message: `${text}\n${url}`,
+    url,
+  });
+}
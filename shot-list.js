@@ -0,0 +1,84 @@
+// The guided capture mode walks the seller through these shots in order.
+// `id` is the angle tag stored with each photo (cars.image_angles, in the
+// same order as cars.images); '' means the photo has no tag.
+//
+// `outline` describes the guide drawn over the camera preview:
+//   width   fraction of the preview width
+//   aspect  width / height of the guide
+//   round   a circle instead of a box (tires)
+//   wheels  wheel arches at the bottom corners (whole-car shots)
+// Shots without an outline are framed freely.
+
+export const SHOT_LIST = [
+  {
+    id: 'front_34',
+    label: 'Front 3/4',
+    hint: 'Stand at a front corner so the front and one side are in view.',
+    outline: { width: 0.85, aspect: 1.8, wheels: true },
+  },
+  {
+    id: 'rear_34',
+    label: 'Rear 3/4',
+    hint: 'Move to the opposite rear corner: the back and the other side.',
+    outline: { width: 0.85, aspect: 1.8, wheels: true },
+  },
+  {
+    id: 'side_left',
+    label: 'Left side',
+    hint: 'Step back until the whole car fits, level with the doors.',
+    outline: { width: 0.92, aspect: 2.6, wheels: true },
+  },
+  {
+    id: 'side_right',
+    label: 'Right side',
+    hint: 'Same from the other side.',
+    outline: { width: 0.92, aspect: 2.6, wheels: true },
+  },
+  {
+    id: 'dashboard',
+    label: 'Dashboard / odometer',
+    hint: 'Ignition on, so the mileage is readable.',
+    outline: { width: 0.8, aspect: 2.2 },
+  },
+  {
+    id: 'interior',
+    label: 'Interior',
+    hint: 'Front seats from the open rear door or the back seat.',
+    outline: { width: 0.9, aspect: 1.3 },
+  },
+  {
+    id: 'trunk',
+    label: 'Trunk',
+    hint: 'Open the trunk and show the whole load space.',
+    outline: { width: 0.85, aspect: 1.4 },
+  },
+  {
+    id: 'tires',
+    label: 'Tires',
+    hint: 'Close up on a tire so the tread depth is visible.',
+    outline: { width: 0.7, aspect: 1, round: true },
+  },
+  {
+    id: 'damage',
+    label: 'Damage',
+    hint: 'Any scratches, dents or rust. Take as many as needed, or skip.',
+    outline: null,
+    repeat: true,
+  },
+];
+
+export function shotLabel(angle) {
+  const shot = SHOT_LIST.find((s) => s.id === angle);
+  return shot ? shot.label : '';
+}
+
+/**
+ * Index of the next shot to take after `index`, skipping angles already in
+ * `taken` (unless the shot can repeat), or -1 when the list is done.
+ */
+export function nextShotIndex(index, taken = []) {
+  for (let i = index + 1; i < SHOT_LIST.length; i += 1) {
+    if (SHOT_LIST[i].repeat || !taken.includes(SHOT_LIST[i].id)) return i;
+  }
+  return -1;
+}
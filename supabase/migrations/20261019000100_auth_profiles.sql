@@ -0,0 +1,212 @@
+-- Move accounts onto Supabase Auth.
+--
+-- `public.users` used to hold the login itself (email + plaintext password).
+-- After this migration it is a profile table keyed by `auth.users.id`, and
+-- the password column is gone. Existing accounts are copied into
+-- `auth.users` with their current password bcrypt-hashed, reusing the
+-- existing uuid so `cars.user_id` keeps pointing at the right owner.
+
+create extension if not exists pgcrypto;
+
+-- 1. Existing accounts -> auth.users / auth.identities
+
+insert into auth.users (
+  instance_id, id, aud, role, email, encrypted_password,
+  email_confirmed_at, raw_app_meta_data, raw_user_meta_data,
+  confirmation_token, recovery_token, email_change_token_new, email_change,
+  created_at, updated_at
+)
+select
+  '00000000-0000-0000-0000-000000000000',
+  u.id,
+  'authenticated',
+  'authenticated',
+  lower(trim(u.email)),
+  crypt(u.password, gen_salt('bf')),
+  now(),
+  '{"provider":"email","providers":["email"]}'::jsonb,
+  jsonb_build_object('username', u.username, 'phone', u.phone::text),
+  -- GoTrue cannot read null tokens back; it expects empty strings
+  '', '', '', '',
+  coalesce(u.created_at, now()),
+  now()
+from public.users u
+where u.password is not null
+  and not exists (select 1 from auth.users a where a.id = u.id)
+  and not exists (select 1 from auth.users a where lower(a.email) = lower(trim(u.email)));
+
+insert into auth.identities (
+  id, user_id, provider_id, provider, identity_data,
+  last_sign_in_at, created_at, updated_at
+)
+select
+  gen_random_uuid(),
+  a.id,
+  a.id::text,
+  'email',
+  jsonb_build_object('sub', a.id::text, 'email', a.email, 'email_verified', true),
+  now(), now(), now()
+from auth.users a
+join public.users u on u.id = a.id
+where not exists (
+  select 1 from auth.identities i where i.user_id = a.id and i.provider = 'email'
+);
+
+-- Accounts that could not be migrated (duplicate email) have no auth user and
+-- would otherwise block the foreign key below. They are moved aside, without
+-- the password, so they can be sorted out by hand.
+create table if not exists public.users_unmigrated as
+  select * from public.users with no data;
+alter table public.users_unmigrated drop column if exists password;
+alter table public.users_unmigrated enable row level security;
+revoke all on public.users_unmigrated from anon, authenticated;
+
+do $$
+declare
+  moved integer;
+begin
+  with unmigrated as (
+    delete from public.users u
+    where not exists (select 1 from auth.users a where a.id = u.id)
+    returning u.*
+  )
+  insert into public.users_unmigrated
+  select (jsonb_populate_record(null::public.users_unmigrated, to_jsonb(unmigrated))).*
+  from unmigrated;
+
+  get diagnostics moved = row_count;
+  if moved > 0 then
+    raise warning '% account(s) could not be moved to Supabase Auth; see public.users_unmigrated', moved;
+  end if;
+end;
+$$;
+
+-- 2. public.users becomes a profile table
+
+alter table public.users drop column if exists password;
+
+alter table public.users
+  add constraint users_id_fkey
+  foreign key (id) references auth.users (id) on delete cascade;
+
+alter table public.users alter column is_admin set default false;
+
+-- Create the profile row whenever someone signs up. Username and phone are
+-- passed as user metadata from the sign-up form.
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.users (id, email, username, phone)
+  values (
+    new.id,
+    new.email,
+    coalesce(new.raw_user_meta_data ->> 'username', split_part(new.email, '@', 1)),
+    nullif(regexp_replace(coalesce(new.raw_user_meta_data ->> 'phone', ''), '\D', '', 'g'), '')::bigint
+  )
+  on conflict (id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- 3. Row level security
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select is_admin from public.users where id = auth.uid()), false);
+$$;
+
+alter table public.users enable row level security;
+
+-- Email, phone and the admin flag stay private: users read their own row,
+-- admins read everyone's. Other people's names come from `profiles`.
+drop policy if exists "Profiles are readable by signed-in users" on public.users;
+drop policy if exists "Users read their own profile" on public.users;
+create policy "Users read their own profile"
+  on public.users for select
+  to authenticated
+  using (id = auth.uid() or public.is_admin());
+
+-- The public part of a profile. The view runs as its owner, so it sees every
+-- row while only exposing these columns.
+create or replace view public.profiles as
+  select id, username from public.users;
+
+revoke all on public.profiles from anon, authenticated;
+grant select on public.profiles to authenticated;
+
+drop policy if exists "Users can update their own profile" on public.users;
+create policy "Users can update their own profile"
+  on public.users for update
+  to authenticated
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+-- Nobody promotes themselves: only these columns are writable from the client.
+revoke insert, update, delete on public.users from anon, authenticated;
+grant update (username, phone) on public.users to authenticated;
+
+alter table public.cars enable row level security;
+
+drop policy if exists "Cars are readable by signed-in users" on public.cars;
+create policy "Cars are readable by signed-in users"
+  on public.cars for select
+  to authenticated
+  using (true);
+
+drop policy if exists "Users can add their own cars" on public.cars;
+create policy "Users can add their own cars"
+  on public.cars for insert
+  to authenticated
+  with check (user_id = auth.uid());
+
+drop policy if exists "Owners and admins can update cars" on public.cars;
+create policy "Owners and admins can update cars"
+  on public.cars for update
+  to authenticated
+  using (user_id = auth.uid() or public.is_admin());
+
+drop policy if exists "Owners and admins can delete cars" on public.cars;
+create policy "Owners and admins can delete cars"
+  on public.cars for delete
+  to authenticated
+  using (user_id = auth.uid() or public.is_admin());
+
+-- 4. Admin account removal
+--
+-- Deleting the profile row alone would leave a working login behind, so the
+-- admin panel goes through this function, which removes the auth user and
+-- lets the foreign keys cascade.
+create or replace function public.delete_user(target_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can delete users';
+  end if;
+  if target_user_id = auth.uid() then
+    raise exception 'You cannot delete your own account';
+  end if;
+  delete from public.cars where user_id = target_user_id;
+  delete from auth.users where id = target_user_id;
+end;
+$$;
+
+revoke execute on function public.delete_user(uuid) from public, anon;
+grant execute on function public.delete_user(uuid) to authenticated;
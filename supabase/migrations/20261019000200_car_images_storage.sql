@@ -0,0 +1,36 @@
+-- Listing photos live in the public `car-images` bucket, one folder per user:
+--   <user id>/<name>.jpg        full size (max 1600px wide)
+--   <user id>/<name>_thumb.jpg  thumbnail (max 400px wide)
+-- `cars.images` holds the public URLs and `cars.thumbnails` the matching
+-- thumbnail URLs in the same order.
+
+insert into storage.buckets (id, name, public)
+values ('car-images', 'car-images', true)
+on conflict (id) do nothing;
+
+alter table public.cars
+  add column if not exists thumbnails text[] not null default '{}';
+
+drop policy if exists "Users upload car images to their own folder" on storage.objects;
+create policy "Users upload car images to their own folder"
+  on storage.objects for insert
+  to authenticated
+  with check (
+    bucket_id = 'car-images'
+    and (storage.foldername(name))[1] = auth.uid()::text
+  );
+
+drop policy if exists "Owners and admins can delete car images" on storage.objects;
+create policy "Owners and admins can delete car images"
+  on storage.objects for delete
+  to authenticated
+  using (
+    bucket_id = 'car-images'
+    and ((storage.foldername(name))[1] = auth.uid()::text or public.is_admin())
+  );
+
+-- remove() needs to see the objects it deletes
+drop policy if exists "Car images are readable" on storage.objects;
+create policy "Car images are readable"
+  on storage.objects for select
+  using (bucket_id = 'car-images');
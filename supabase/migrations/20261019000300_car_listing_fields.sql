@@ -0,0 +1,19 @@
+-- Description and seller contact fields were collected by the listing form
+-- but never stored.
+
+alter table public.cars
+  add column if not exists description text,
+  add column if not exists owner_name text,
+  add column if not exists owner_phone text,
+  add column if not exists owner_email text,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- Existing listings get the seller's profile details as contact info.
+update public.cars c
+set
+  owner_name = coalesce(c.owner_name, u.username),
+  owner_phone = coalesce(c.owner_phone, u.phone::text),
+  owner_email = coalesce(c.owner_email, u.email)
+from public.users u
+where u.id = c.user_id
+  and (c.owner_name is null or c.owner_phone is null or c.owner_email is null);
@@ -0,0 +1,6 @@
+-- Indexes for the paginated car feed. Each sort order is paired with `id`
+-- as a tie-breaker, matching `applyCarSort` in car-query.js.
+
+create index if not exists cars_created_at_id_idx on public.cars (created_at desc, id);
+create index if not exists cars_price_id_idx on public.cars (price desc nulls last, id);
+create index if not exists cars_km_id_idx on public.cars (km asc nulls last, id);
@@ -0,0 +1,92 @@
+-- Full-text search over brand, model, year and description.
+--
+-- `norwegian_unaccent` is the built-in Norwegian configuration with accents
+-- stripped before stemming, so "Skoda" finds "Škoda" and "citroen" finds
+-- "Citroën". The same configuration is used for the index and the query, so
+-- æ/ø/å are folded consistently on both sides.
+
+create extension if not exists unaccent with schema extensions;
+
+do $$
+begin
+  if not exists (select 1 from pg_ts_config where cfgname = 'norwegian_unaccent') then
+    create text search configuration public.norwegian_unaccent (copy = pg_catalog.norwegian);
+    alter text search configuration public.norwegian_unaccent
+      alter mapping for hword, hword_part, word
+      with extensions.unaccent, norwegian_stem;
+  end if;
+end;
+$$;
+
+alter table public.cars
+  add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('public.norwegian_unaccent', coalesce(brand, '')), 'A') ||
+    setweight(to_tsvector('public.norwegian_unaccent', coalesce(model, '')), 'A') ||
+    setweight(to_tsvector('public.norwegian_unaccent', coalesce(year::text, '')), 'B') ||
+    setweight(to_tsvector('public.norwegian_unaccent', coalesce(description, '')), 'C')
+  ) stored;
+
+create index if not exists cars_search_vector_idx on public.cars using gin (search_vector);
+
+-- Turns free text into a prefix query ("volv 20" -> 'volv':* & '20':*) so
+-- results show up while the user is still typing.
+create or replace function public.car_search_query(search_query text)
+returns tsquery
+language sql
+stable
+as $$
+  select to_tsquery(
+    'public.norwegian_unaccent',
+    string_agg(quote_literal(token) || ':*', ' & ')
+  )
+  from regexp_split_to_table(
+    trim(regexp_replace(coalesce(search_query, ''), '[^[:alnum:][:space:]]', ' ', 'g')),
+    '\s+'
+  ) as token
+  where token <> '';
+$$;
+
+-- Matching cars, unordered. The query is kept for the rest of the
+-- transaction so `search_rank` below can score the rows; callers order by
+-- it (`order=search_rank.desc`) to get the best matches first.
+create or replace function public.search_cars(search_query text)
+returns setof public.cars
+language plpgsql
+stable
+as $$
+declare
+  ts_query tsquery := public.car_search_query(search_query);
+begin
+  perform set_config('app.car_search_query', coalesce(search_query, ''), true);
+
+  if ts_query is null then
+    return query select * from public.cars;
+    return;
+  end if;
+
+  return query
+    select c.* from public.cars c
+    where c.search_vector @@ ts_query;
+end;
+$$;
+
+-- How well a car matches the search running in this transaction (0 outside
+-- a search). Taking the row makes it a computed `search_rank` column in
+-- PostgREST.
+create or replace function public.search_rank(car public.cars)
+returns real
+language sql
+stable
+as $$
+  select coalesce(
+    ts_rank_cd(
+      car.search_vector,
+      public.car_search_query(current_setting('app.car_search_query', true))
+    ),
+    0
+  )::real;
+$$;
+
+grant execute on function public.search_cars(text) to authenticated;
+grant execute on function public.search_rank(public.cars) to authenticated;
@@ -0,0 +1,41 @@
+-- Support for the filter sheet: brand chips and range filters on the feed.
+
+-- Brands are stored trimmed, so the brand filter (a case-insensitive match
+-- on the whole value) finds every listing counted under a brand chip.
+create or replace function public.trim_car_brand()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.brand := trim(new.brand);
+  return new;
+end;
+$$;
+
+drop trigger if exists cars_trim_brand on public.cars;
+create trigger cars_trim_brand
+  before insert or update of brand on public.cars
+  for each row execute function public.trim_car_brand();
+
+update public.cars set brand = trim(brand) where brand <> trim(brand);
+
+-- Brands are typed freely, so "volvo" and "Volvo " count as the same brand,
+-- shown with its most common spelling.
+create or replace function public.car_brands()
+returns table (brand text, listings bigint)
+language sql
+stable
+as $$
+  select
+    mode() within group (order by trim(c.brand)) as brand,
+    count(*) as listings
+  from public.cars c
+  where coalesce(trim(c.brand), '') <> ''
+  group by lower(trim(c.brand))
+  order by count(*) desc, 1;
+$$;
+
+grant execute on function public.car_brands() to authenticated;
+
+create index if not exists cars_brand_lower_idx on public.cars (lower(brand));
+create index if not exists cars_year_idx on public.cars (year);
@@ -0,0 +1,25 @@
+-- Saved searches: a named query/sort/filter combination on a user's profile.
+-- `last_seen_at` is bumped whenever the user opens the search; listings
+-- created after it count as new matches.
+
+create table if not exists public.saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  name text not null check (char_length(trim(name)) > 0),
+  search_query text not null default '',
+  sort_by text not null default 'date',
+  filters jsonb not null default '{}'::jsonb,
+  last_seen_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists saved_searches_user_id_idx on public.saved_searches (user_id);
+
+alter table public.saved_searches enable row level security;
+
+drop policy if exists "Users manage their own saved searches" on public.saved_searches;
+create policy "Users manage their own saved searches"
+  on public.saved_searches for all
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
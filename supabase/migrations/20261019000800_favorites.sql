@@ -0,0 +1,77 @@
+-- Favorites / watchlist. A snapshot of the listing is kept on each favorite
+-- so that a car that is later deleted still shows up in "Saved cars",
+-- marked as no longer available, instead of silently disappearing.
+
+create table if not exists public.favorites (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  car_id uuid references public.cars (id) on delete set null,
+  car_snapshot jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  unique (user_id, car_id)
+);
+
+create index if not exists favorites_car_id_idx on public.favorites (car_id);
+
+create or replace function public.car_snapshot(car public.cars)
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'brand', (car).brand,
+    'model', (car).model,
+    'year', (car).year,
+    'km', (car).km,
+    'price', (car).price,
+    'image', coalesce((car).thumbnails[1], (car).images[1])
+  );
+$$;
+
+create or replace function public.fill_favorite_snapshot()
+returns trigger
+language plpgsql
+as $$
+begin
+  select public.car_snapshot(c) into new.car_snapshot
+  from public.cars c
+  where c.id = new.car_id;
+  new.car_snapshot := coalesce(new.car_snapshot, '{}'::jsonb);
+  return new;
+end;
+$$;
+
+drop trigger if exists favorites_fill_snapshot on public.favorites;
+create trigger favorites_fill_snapshot
+  before insert on public.favorites
+  for each row execute function public.fill_favorite_snapshot();
+
+-- Keep snapshots current while the listing is still around. Runs as the
+-- table owner because the editing seller cannot see other users' favorites.
+create or replace function public.refresh_favorite_snapshots()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.favorites
+  set car_snapshot = public.car_snapshot(new)
+  where car_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists cars_refresh_favorite_snapshots on public.cars;
+create trigger cars_refresh_favorite_snapshots
+  after update on public.cars
+  for each row execute function public.refresh_favorite_snapshots();
+
+alter table public.favorites enable row level security;
+
+drop policy if exists "Users manage their own favorites" on public.favorites;
+create policy "Users manage their own favorites"
+  on public.favorites for all
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
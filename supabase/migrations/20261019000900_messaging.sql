@@ -0,0 +1,147 @@
+-- In-app buyer/seller messaging. One conversation per (car, buyer); the
+-- seller is the car's owner at the time the conversation was started.
+
+create table if not exists public.conversations (
+  id uuid primary key default gen_random_uuid(),
+  car_id uuid references public.cars (id) on delete set null,
+  buyer_id uuid not null references public.users (id) on delete cascade,
+  seller_id uuid not null references public.users (id) on delete cascade,
+  -- Kept so the thread still has a title after the listing is deleted
+  car_title text not null default '',
+  created_at timestamptz not null default now(),
+  last_message_at timestamptz not null default now(),
+  unique (car_id, buyer_id),
+  check (buyer_id <> seller_id)
+);
+
+create index if not exists conversations_buyer_id_idx on public.conversations (buyer_id);
+create index if not exists conversations_seller_id_idx on public.conversations (seller_id);
+
+create table if not exists public.messages (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references public.conversations (id) on delete cascade,
+  sender_id uuid not null references public.users (id) on delete cascade,
+  body text not null check (char_length(trim(body)) > 0),
+  created_at timestamptz not null default now(),
+  read_at timestamptz
+);
+
+create index if not exists messages_conversation_id_idx on public.messages (conversation_id, created_at);
+create index if not exists messages_unread_idx on public.messages (conversation_id) where read_at is null;
+
+-- Seller and title always come from the car, never from the client.
+create or replace function public.fill_conversation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  car public.cars;
+begin
+  select * into car from public.cars where id = new.car_id;
+  if car.id is null then
+    raise exception 'Car not found';
+  end if;
+  new.seller_id := car.user_id;
+  new.car_title := trim(coalesce(car.brand, '') || ' ' || coalesce(car.model, ''));
+  return new;
+end;
+$$;
+
+drop trigger if exists conversations_fill on public.conversations;
+create trigger conversations_fill
+  before insert on public.conversations
+  for each row execute function public.fill_conversation();
+
+create or replace function public.touch_conversation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.conversations
+  set last_message_at = new.created_at
+  where id = new.conversation_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_touch_conversation on public.messages;
+create trigger messages_touch_conversation
+  after insert on public.messages
+  for each row execute function public.touch_conversation();
+
+create or replace function public.is_conversation_participant(target_conversation_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.conversations
+    where id = target_conversation_id
+      and auth.uid() in (buyer_id, seller_id)
+  );
+$$;
+
+alter table public.conversations enable row level security;
+alter table public.messages enable row level security;
+
+drop policy if exists "Participants can read conversations" on public.conversations;
+create policy "Participants can read conversations"
+  on public.conversations for select
+  to authenticated
+  using (auth.uid() in (buyer_id, seller_id));
+
+drop policy if exists "Buyers can start conversations" on public.conversations;
+create policy "Buyers can start conversations"
+  on public.conversations for insert
+  to authenticated
+  with check (buyer_id = auth.uid());
+
+drop policy if exists "Participants can read messages" on public.messages;
+create policy "Participants can read messages"
+  on public.messages for select
+  to authenticated
+  using (public.is_conversation_participant(conversation_id));
+
+drop policy if exists "Participants can send messages" on public.messages;
+create policy "Participants can send messages"
+  on public.messages for insert
+  to authenticated
+  with check (
+    sender_id = auth.uid()
+    and public.is_conversation_participant(conversation_id)
+  );
+
+-- The recipient marks messages as read; nothing else about a message changes.
+drop policy if exists "Recipients can mark messages read" on public.messages;
+create policy "Recipients can mark messages read"
+  on public.messages for update
+  to authenticated
+  using (sender_id <> auth.uid() and public.is_conversation_participant(conversation_id))
+  with check (sender_id <> auth.uid() and public.is_conversation_participant(conversation_id));
+
+revoke update on public.messages from authenticated;
+grant update (read_at) on public.messages to authenticated;
+
+-- Adding a table twice is an error, so only add what is missing
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'messages'
+  ) then
+    alter publication supabase_realtime add table public.messages;
+  end if;
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'conversations'
+  ) then
+    alter publication supabase_realtime add table public.conversations;
+  end if;
+end;
+$$;
@@ -0,0 +1,13 @@
+-- Registration number and the specs the vehicle lookup fills in.
+
+alter table public.cars
+  add column if not exists regnr text,
+  add column if not exists first_registration date,
+  add column if not exists fuel_type text,
+  add column if not exists power_kw integer check (power_kw is null or power_kw >= 0);
+
+alter table public.cars drop constraint if exists cars_fuel_type_check;
+alter table public.cars add constraint cars_fuel_type_check
+  check (fuel_type is null or fuel_type in (
+    'petrol', 'diesel', 'electric', 'hybrid', 'plugin_hybrid', 'hydrogen', 'other'
+  ));
@@ -0,0 +1,14 @@
+-- Stream listing inserts, updates and deletes to the app so the feed and an
+-- open details screen update live. Realtime applies the cars select policy.
+-- Delete events only carry the primary key, which is all the app needs.
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'cars'
+  ) then
+    alter publication supabase_realtime add table public.cars;
+  end if;
+end;
+$$;
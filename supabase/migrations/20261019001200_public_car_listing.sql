@@ -0,0 +1,19 @@
+-- Shared links fall back to a read-only listing page on the web build, which
+-- visitors open without signing in. Cars stay readable by signed-in users
+-- only; this returns a single listing without the owner id and contact
+-- details.
+
+create or replace function public.public_car(target_car_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(c) - 'user_id' - 'owner_phone' - 'owner_email' - 'search_vector'
+  from public.cars c
+  where c.id = target_car_id;
+$$;
+
+revoke all on function public.public_car(uuid) from public;
+grant execute on function public.public_car(uuid) to anon, authenticated;
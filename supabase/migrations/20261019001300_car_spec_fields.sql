@@ -0,0 +1,49 @@
+-- Specification fields buyers ask about, next to fuel_type and power_kw from
+-- the registration migration. Option values match vehicle-specs.js.
+
+alter table public.cars
+  add column if not exists gearbox text,
+  add column if not exists drivetrain text,
+  add column if not exists body_type text,
+  add column if not exists color text,
+  add column if not exists seats smallint,
+  add column if not exists previous_owners smallint,
+  add column if not exists next_eu_control date,
+  add column if not exists vin text;
+
+alter table public.cars drop constraint if exists cars_gearbox_check;
+alter table public.cars add constraint cars_gearbox_check
+  check (gearbox is null or gearbox in ('manual', 'automatic'));
+
+alter table public.cars drop constraint if exists cars_drivetrain_check;
+alter table public.cars add constraint cars_drivetrain_check
+  check (drivetrain is null or drivetrain in ('fwd', 'rwd', 'awd'));
+
+alter table public.cars drop constraint if exists cars_body_type_check;
+alter table public.cars add constraint cars_body_type_check
+  check (body_type is null or body_type in (
+    'sedan', 'station_wagon', 'hatchback', 'suv', 'coupe', 'convertible', 'mpv', 'van', 'pickup'
+  ));
+
+alter table public.cars drop constraint if exists cars_color_check;
+alter table public.cars add constraint cars_color_check
+  check (color is null or color in (
+    'black', 'white', 'grey', 'silver', 'blue', 'red', 'green', 'brown', 'beige', 'yellow', 'orange', 'other'
+  ));
+
+alter table public.cars drop constraint if exists cars_seats_check;
+alter table public.cars add constraint cars_seats_check
+  check (seats is null or seats between 1 and 20);
+
+alter table public.cars drop constraint if exists cars_previous_owners_check;
+alter table public.cars add constraint cars_previous_owners_check
+  check (previous_owners is null or previous_owners between 0 and 99);
+
+-- 17 characters, without I, O and Q
+alter table public.cars drop constraint if exists cars_vin_check;
+alter table public.cars add constraint cars_vin_check
+  check (vin is null or vin ~ '^[A-HJ-NPR-Z0-9]{17}$');
+
+create index if not exists cars_fuel_type_idx on public.cars (fuel_type);
+create index if not exists cars_gearbox_idx on public.cars (gearbox);
+create index if not exists cars_body_type_idx on public.cars (body_type);
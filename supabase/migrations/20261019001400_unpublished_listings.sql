@@ -0,0 +1,44 @@
+-- Drafts uploaded from the add form are stored as unpublished listings: only
+-- their owner (and admins) can see them until they are published. The feed
+-- asks for published rows explicitly, since owners can read their own drafts.
+
+alter table public.cars
+  add column if not exists published boolean not null default true;
+
+create index if not exists cars_unpublished_owner_idx
+  on public.cars (user_id)
+  where not published;
+
+drop policy if exists "Cars are readable by signed-in users" on public.cars;
+create policy "Cars are readable by signed-in users"
+  on public.cars for select
+  to authenticated
+  using (published or user_id = auth.uid() or public.is_admin());
+
+create or replace function public.car_brands()
+returns table (brand text, listings bigint)
+language sql
+stable
+as $$
+  select
+    mode() within group (order by trim(c.brand)) as brand,
+    count(*) as listings
+  from public.cars c
+  where c.published
+    and coalesce(trim(c.brand), '') <> ''
+  group by lower(trim(c.brand))
+  order by count(*) desc, 1;
+$$;
+
+create or replace function public.public_car(target_car_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(c) - 'user_id' - 'owner_phone' - 'owner_email' - 'search_vector'
+  from public.cars c
+  where c.id = target_car_id
+    and c.published;
+$$;
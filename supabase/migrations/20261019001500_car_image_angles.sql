@@ -0,0 +1,13 @@
+-- Angle tags from the guided photo shot list, one per photo in the same
+-- order as `images` (like `thumbnails`). '' marks a photo without a tag.
+-- Values match shot-list.js.
+
+alter table public.cars
+  add column if not exists image_angles text[] not null default '{}';
+
+alter table public.cars drop constraint if exists cars_image_angles_check;
+alter table public.cars add constraint cars_image_angles_check
+  check (image_angles <@ array[
+    '', 'front_34', 'rear_34', 'side_left', 'side_right',
+    'dashboard', 'interior', 'trunk', 'tires', 'damage'
+  ]::text[]);
@@ -0,0 +1,182 @@
+-- Listing lifecycle: draft -> active -> reserved / sold, and active listings
+-- expire after a configurable number of days (60 unless set otherwise):
+--
+--   alter database postgres set app.listing_duration_days = '90';
+--
+-- `status` replaces the `published` flag from the drafts migration. The
+-- allowed transitions match listing-status.js.
+
+alter table public.cars
+  add column if not exists status text not null default 'active',
+  add column if not exists expires_at timestamptz;
+
+alter table public.cars drop constraint if exists cars_status_check;
+alter table public.cars add constraint cars_status_check
+  check (status in ('draft', 'active', 'reserved', 'sold', 'expired'));
+
+update public.cars set status = 'draft' where not published;
+
+create or replace function public.listing_duration()
+returns interval
+language sql
+stable
+as $$
+  select make_interval(
+    days => coalesce(nullif(current_setting('app.listing_duration_days', true), '')::int, 60)
+  );
+$$;
+
+-- Listings that were up before this migration get a full period
+update public.cars
+set expires_at = now() + public.listing_duration()
+where status = 'active' and expires_at is null;
+
+create or replace function public.car_status_transition_allowed(old_status text, new_status text)
+returns boolean
+language sql
+immutable
+as $$
+  select old_status = new_status or (old_status, new_status) in (
+    ('draft', 'active'),
+    ('active', 'reserved'),
+    ('active', 'sold'),
+    ('active', 'expired'),
+    ('reserved', 'active'),
+    ('reserved', 'sold'),
+    ('sold', 'active'),
+    ('expired', 'active')
+  );
+$$;
+
+-- Rejects transitions that are not allowed and starts a new listing period
+-- whenever a listing goes (back) up for sale. `expires_at` is never taken
+-- from the client: only this trigger, renew_car and jobs running without a
+-- user move it.
+create or replace function public.guard_car_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null then
+    if tg_op = 'INSERT' then
+      new.expires_at := null;
+    elsif coalesce(current_setting('app.renewing_car', true), '') <> old.id::text then
+      new.expires_at := old.expires_at;
+    end if;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.status not in ('draft', 'active') then
+      raise exception 'New listings start as draft or active'
+        using errcode = 'check_violation';
+    end if;
+  elsif new.status is distinct from old.status then
+    if not public.car_status_transition_allowed(old.status, new.status) then
+      raise exception 'A listing cannot go from % to %', old.status, new.status
+        using errcode = 'check_violation';
+    end if;
+    -- Only the expiry job (which runs without a user) expires listings
+    if new.status = 'expired' and auth.uid() is not null then
+      raise exception 'Listings expire on their own'
+        using errcode = 'check_violation';
+    end if;
+  end if;
+
+  if new.status = 'active'
+    and (tg_op = 'INSERT' or old.status in ('draft', 'sold', 'expired')) then
+    new.expires_at := now() + public.listing_duration();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists cars_status_guard on public.cars;
+create trigger cars_status_guard
+  before insert or update on public.cars
+  for each row execute function public.guard_car_status();
+
+-- Starts a new listing period for an active or expired listing. Runs with
+-- the caller's rights, so only owners and admins can renew. The setting
+-- lasts until the end of the transaction and tells guard_car_status that
+-- this expiry change is allowed.
+create or replace function public.renew_car(target_car_id uuid)
+returns setof public.cars
+language sql
+volatile
+as $$
+  select set_config('app.renewing_car', target_car_id::text, true);
+
+  update public.cars
+  set status = 'active',
+      expires_at = now() + public.listing_duration(),
+      updated_at = now()
+  where id = target_car_id
+    and status in ('active', 'expired')
+  returning *;
+$$;
+
+grant execute on function public.renew_car(uuid) to authenticated;
+
+create or replace function public.expire_car_listings()
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with expired as (
+    update public.cars
+    set status = 'expired', updated_at = now()
+    where status = 'active' and expires_at < now()
+    returning 1
+  )
+  select count(*)::int from expired;
+$$;
+
+revoke all on function public.expire_car_listings() from public;
+
+create extension if not exists pg_cron;
+select cron.schedule('expire-car-listings', '15 * * * *', 'select public.expire_car_listings()');
+
+-- Drafts stay private; every other status is readable (sold and expired
+-- listings by link), and the feed asks for active and reserved ones.
+drop policy if exists "Cars are readable by signed-in users" on public.cars;
+create policy "Cars are readable by signed-in users"
+  on public.cars for select
+  to authenticated
+  using (status <> 'draft' or user_id = auth.uid() or public.is_admin());
+
+create or replace function public.car_brands()
+returns table (brand text, listings bigint)
+language sql
+stable
+as $$
+  select
+    mode() within group (order by trim(c.brand)) as brand,
+    count(*) as listings
+  from public.cars c
+  where c.status in ('active', 'reserved')
+    and coalesce(trim(c.brand), '') <> ''
+  group by lower(trim(c.brand))
+  order by count(*) desc, 1;
+$$;
+
+create or replace function public.public_car(target_car_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(c) - 'user_id' - 'owner_phone' - 'owner_email' - 'search_vector'
+  from public.cars c
+  where c.id = target_car_id
+    and c.status <> 'draft';
+$$;
+
+drop index if exists public.cars_unpublished_owner_idx;
+alter table public.cars drop column if exists published;
+
+create index if not exists cars_status_idx on public.cars (status);
+create index if not exists cars_draft_owner_idx
+  on public.cars (user_id)
+  where status = 'draft';
@@ -0,0 +1,96 @@
+-- Every price a listing has had, so buyers can see when a seller lowers it.
+-- `cars.price_drop` is how much the price has come down since it was last
+-- raised (or first listed), and `price_dropped_at` when it last went down;
+-- both are null while there is no reduction. They back the "Price reduced"
+-- badge, sort and filter without reading the history.
+
+create table if not exists public.car_price_history (
+  id bigint generated always as identity primary key,
+  car_id uuid not null references public.cars (id) on delete cascade,
+  price numeric not null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists car_price_history_car_id_idx
+  on public.car_price_history (car_id, changed_at);
+
+alter table public.cars
+  add column if not exists price_drop numeric,
+  add column if not exists price_dropped_at timestamptz;
+
+create index if not exists cars_price_dropped_at_idx
+  on public.cars (price_dropped_at desc)
+  where price_drop > 0;
+
+-- Current prices start the history of existing listings
+insert into public.car_price_history (car_id, price, changed_at)
+select c.id, c.price, c.created_at
+from public.cars c
+where c.price is not null
+  and not exists (select 1 from public.car_price_history h where h.car_id = c.id);
+
+-- Runs on every insert and update so the two columns only ever come from
+-- here: whatever the client sends for them is replaced.
+create or replace function public.track_car_price_drop()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.price_drop := null;
+    new.price_dropped_at := null;
+  elsif new.price < old.price then
+    new.price_drop := coalesce(old.price_drop, 0) + (old.price - new.price);
+    new.price_dropped_at := now();
+  elsif new.price > old.price then
+    new.price_drop := null;
+    new.price_dropped_at := null;
+  else
+    new.price_drop := old.price_drop;
+    new.price_dropped_at := old.price_dropped_at;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists cars_price_drop on public.cars;
+create trigger cars_price_drop
+  before insert or update on public.cars
+  for each row execute function public.track_car_price_drop();
+
+-- The history is only written here, never by the client
+create or replace function public.record_car_price()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.price is not null then
+    insert into public.car_price_history (car_id, price)
+    values (new.id, new.price);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists cars_price_history_insert on public.cars;
+create trigger cars_price_history_insert
+  after insert on public.cars
+  for each row execute function public.record_car_price();
+
+drop trigger if exists cars_price_history_update on public.cars;
+create trigger cars_price_history_update
+  after update of price on public.cars
+  for each row
+  when (new.price is distinct from old.price)
+  execute function public.record_car_price();
+
+alter table public.car_price_history enable row level security;
+
+-- Readable wherever the car itself is (the cars policy applies inside)
+drop policy if exists "Price history follows car visibility" on public.car_price_history;
+create policy "Price history follows car visibility"
+  on public.car_price_history for select
+  to authenticated
+  using (exists (select 1 from public.cars c where c.id = car_id));
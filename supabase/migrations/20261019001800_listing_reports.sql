@@ -0,0 +1,283 @@
+-- Reporting listings (scams, wrong information, ...) and the admin queue
+-- that works through the reports.
+--
+-- Admins can hide a listing: `cars.hidden_at` takes it out of the feed and
+-- off its link for everyone but the seller and admins, independent of the
+-- seller's own status. `user_notices` carries messages from the moderators:
+-- warnings to sellers and the outcome of a report to the person who filed it.
+
+alter table public.cars
+  add column if not exists hidden_at timestamptz;
+
+-- Only admins hide and restore listings
+create or replace function public.guard_car_hidden()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.hidden_at is distinct from old.hidden_at
+    and auth.uid() is not null
+    and not public.is_admin() then
+    raise exception 'Only admins can hide or restore listings'
+      using errcode = 'insufficient_privilege';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists cars_hidden_guard on public.cars;
+create trigger cars_hidden_guard
+  before update of hidden_at on public.cars
+  for each row execute function public.guard_car_hidden();
+
+drop policy if exists "Cars are readable by signed-in users" on public.cars;
+create policy "Cars are readable by signed-in users"
+  on public.cars for select
+  to authenticated
+  using (
+    (status <> 'draft' and hidden_at is null)
+    or user_id = auth.uid()
+    or public.is_admin()
+  );
+
+create or replace function public.car_brands()
+returns table (brand text, listings bigint)
+language sql
+stable
+as $$
+  select
+    mode() within group (order by trim(c.brand)) as brand,
+    count(*) as listings
+  from public.cars c
+  where c.status in ('active', 'reserved')
+    and c.hidden_at is null
+    and coalesce(trim(c.brand), '') <> ''
+  group by lower(trim(c.brand))
+  order by count(*) desc, 1;
+$$;
+
+create or replace function public.public_car(target_car_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(c) - 'user_id' - 'owner_phone' - 'owner_email' - 'search_vector'
+  from public.cars c
+  where c.id = target_car_id
+    and c.status <> 'draft'
+    and c.hidden_at is null;
+$$;
+
+create table if not exists public.user_notices (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  car_id uuid references public.cars (id) on delete set null,
+  title text not null,
+  body text not null default '',
+  created_at timestamptz not null default now(),
+  read_at timestamptz
+);
+
+create index if not exists user_notices_unread_idx
+  on public.user_notices (user_id, created_at desc)
+  where read_at is null;
+
+alter table public.user_notices enable row level security;
+
+drop policy if exists "Users read their own notices" on public.user_notices;
+create policy "Users read their own notices"
+  on public.user_notices for select
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Marking as read is the only change users make; notices are written by
+-- resolve_listing_report
+drop policy if exists "Users mark their own notices read" on public.user_notices;
+create policy "Users mark their own notices read"
+  on public.user_notices for update
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+revoke update on public.user_notices from authenticated;
+grant update (read_at) on public.user_notices to authenticated;
+
+create table if not exists public.listing_reports (
+  id uuid primary key default gen_random_uuid(),
+  car_id uuid references public.cars (id) on delete set null,
+  reporter_id uuid not null references public.users (id) on delete cascade,
+  seller_id uuid references public.users (id) on delete set null,
+  -- Kept so the report still has a title after the listing is deleted
+  car_title text not null default '',
+  reason text not null
+    check (reason in ('scam', 'wrong_info', 'sold', 'offensive', 'duplicate', 'other')),
+  note text not null default '',
+  status text not null default 'open'
+    check (status in ('open', 'dismissed', 'resolved')),
+  -- What the moderator did: 'hidden' or 'warned' for resolved reports
+  action text check (action in ('hidden', 'warned')),
+  resolved_by uuid references public.users (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists listing_reports_status_idx
+  on public.listing_reports (status, created_at);
+
+-- One open report per listing and reporter
+create unique index if not exists listing_reports_open_unique
+  on public.listing_reports (car_id, reporter_id)
+  where status = 'open';
+
+-- Seller and title always come from the car, never from the client.
+create or replace function public.fill_listing_report()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  car public.cars;
+begin
+  select * into car from public.cars where id = new.car_id;
+  if car.id is null then
+    raise exception 'Car not found';
+  end if;
+  if car.user_id = new.reporter_id then
+    raise exception 'You cannot report your own listing'
+      using errcode = 'check_violation';
+  end if;
+  new.seller_id := car.user_id;
+  new.car_title := trim(coalesce(car.brand, '') || ' ' || coalesce(car.model, ''));
+  new.status := 'open';
+  new.action := null;
+  new.resolved_by := null;
+  new.resolved_at := null;
+  return new;
+end;
+$$;
+
+drop trigger if exists listing_reports_fill on public.listing_reports;
+create trigger listing_reports_fill
+  before insert on public.listing_reports
+  for each row execute function public.fill_listing_report();
+
+alter table public.listing_reports enable row level security;
+
+drop policy if exists "Reporters and admins read reports" on public.listing_reports;
+create policy "Reporters and admins read reports"
+  on public.listing_reports for select
+  to authenticated
+  using (reporter_id = auth.uid() or public.is_admin());
+
+drop policy if exists "Users report listings" on public.listing_reports;
+create policy "Users report listings"
+  on public.listing_reports for insert
+  to authenticated
+  with check (reporter_id = auth.uid());
+
+-- Closes a report. `report_action` is one of
+--   'dismiss' - nothing wrong with the listing
+--   'hide'    - hides the listing (`message` goes to the seller); every
+--               open report on it is resolved
+--   'warn'    - sends `message` to the seller as a warning
+-- Reporters get a notice with the outcome. Once the listing is deleted it
+-- can no longer be hidden, and once the seller is deleted nobody can be
+-- warned; such reports can still be dismissed.
+create or replace function public.resolve_listing_report(
+  target_report_id uuid,
+  report_action text,
+  message text default ''
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  report public.listing_reports;
+  closed public.listing_reports;
+  outcome text;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can resolve reports'
+      using errcode = 'insufficient_privilege';
+  end if;
+
+  select * into report from public.listing_reports where id = target_report_id;
+  if report.id is null then
+    raise exception 'Report not found';
+  end if;
+  if report.status <> 'open' then
+    raise exception 'This report has already been handled';
+  end if;
+
+  if report_action = 'dismiss' then
+    update public.listing_reports
+    set status = 'dismissed', resolved_by = auth.uid(), resolved_at = now()
+    where id = report.id;
+    outcome := 'We reviewed the listing and found no problem with it.';
+  elsif report_action = 'hide' then
+    if report.car_id is null then
+      raise exception 'The listing has already been deleted';
+    end if;
+    update public.cars set hidden_at = now() where id = report.car_id;
+    if report.seller_id is not null then
+      insert into public.user_notices (user_id, car_id, title, body)
+      values (
+        report.seller_id, report.car_id, report.car_title || ' has been hidden',
+        coalesce(nullif(trim(message), ''), 'A moderator hid your listing after it was reported.')
+      );
+    end if;
+    outcome := 'The listing has been removed from Billager.';
+  elsif report_action = 'warn' then
+    if report.seller_id is null then
+      raise exception 'The seller''s account has been deleted';
+    end if;
+    if coalesce(trim(message), '') = '' then
+      raise exception 'A warning needs a message';
+    end if;
+    insert into public.user_notices (user_id, car_id, title, body)
+    values (report.seller_id, report.car_id, 'Warning about ' || report.car_title, trim(message));
+    update public.listing_reports
+    set status = 'resolved', action = 'warned', resolved_by = auth.uid(), resolved_at = now()
+    where id = report.id;
+    outcome := 'The seller has been warned.';
+  else
+    raise exception 'Unknown action %', report_action;
+  end if;
+
+  -- Hiding settles every open report on the listing
+  for closed in
+    update public.listing_reports
+    set status = 'resolved', action = 'hidden', resolved_by = auth.uid(), resolved_at = now()
+    where report_action = 'hide' and car_id = report.car_id and status = 'open'
+    returning *
+  loop
+    if closed.id <> report.id then
+      insert into public.user_notices (user_id, car_id, title, body)
+      values (closed.reporter_id, closed.car_id, 'Your report about ' || closed.car_title, outcome);
+    end if;
+  end loop;
+
+  insert into public.user_notices (user_id, car_id, title, body)
+  values (report.reporter_id, report.car_id, 'Your report about ' || report.car_title, outcome);
+end;
+$$;
+
+revoke execute on function public.resolve_listing_report(uuid, text, text) from public, anon;
+grant execute on function public.resolve_listing_report(uuid, text, text) to authenticated;
+
+-- New notices show up in the app right away
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'user_notices'
+  ) then
+    alter publication supabase_realtime add table public.user_notices;
+  end if;
+end;
+$$;
@@ -0,0 +1,148 @@
+-- Admin role management and account suspension.
+--
+-- A suspended account is banned in Supabase Auth (`banned_until`), so
+-- sign-in and token refresh fail, and its sessions are ended right away.
+-- Its listings disappear for everyone but admins while it stays suspended;
+-- nothing is deleted, so unsuspending brings them back.
+
+alter table public.users
+  add column if not exists suspended_at timestamptz,
+  add column if not exists suspension_reason text;
+
+create index if not exists users_suspended_idx
+  on public.users (suspended_at)
+  where suspended_at is not null;
+
+-- Users can only read their own profile, so policies ask this instead. It
+-- reads the small partial index above.
+create or replace function public.suspended_user_ids()
+returns setof uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id from public.users where suspended_at is not null;
+$$;
+
+revoke execute on function public.suspended_user_ids() from public, anon;
+grant execute on function public.suspended_user_ids() to authenticated;
+
+-- The function calls are wrapped in selects so Postgres runs them once per
+-- query rather than once per row
+drop policy if exists "Cars are readable by signed-in users" on public.cars;
+create policy "Cars are readable by signed-in users"
+  on public.cars for select
+  to authenticated
+  using (
+    (
+      status <> 'draft'
+      and hidden_at is null
+      and user_id not in (select public.suspended_user_ids())
+    )
+    or user_id = (select auth.uid())
+    or (select public.is_admin())
+  );
+
+create or replace function public.car_brands()
+returns table (brand text, listings bigint)
+language sql
+stable
+as $$
+  select
+    mode() within group (order by trim(c.brand)) as brand,
+    count(*) as listings
+  from public.cars c
+  where c.status in ('active', 'reserved')
+    and c.hidden_at is null
+    and c.user_id not in (select public.suspended_user_ids())
+    and coalesce(trim(c.brand), '') <> ''
+  group by lower(trim(c.brand))
+  order by count(*) desc, 1;
+$$;
+
+create or replace function public.public_car(target_car_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(c) - 'user_id' - 'owner_phone' - 'owner_email' - 'search_vector'
+  from public.cars c
+  where c.id = target_car_id
+    and c.status <> 'draft'
+    and c.hidden_at is null
+    and not exists (
+      select 1 from public.users u
+      where u.id = c.user_id and u.suspended_at is not null
+    );
+$$;
+
+-- Grants or removes admin rights. Admins cannot demote themselves, so there
+-- is always someone left to undo a mistake.
+create or replace function public.set_user_admin(target_user_id uuid, make_admin boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can change roles'
+      using errcode = 'insufficient_privilege';
+  end if;
+  if target_user_id = auth.uid() then
+    raise exception 'You cannot change your own role';
+  end if;
+  update public.users set is_admin = make_admin where id = target_user_id;
+  if not found then
+    raise exception 'User not found';
+  end if;
+end;
+$$;
+
+-- Suspends (with a reason) or unsuspends an account
+create or replace function public.set_user_suspended(
+  target_user_id uuid,
+  suspend boolean,
+  reason text default ''
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can suspend accounts'
+      using errcode = 'insufficient_privilege';
+  end if;
+  if target_user_id = auth.uid() then
+    raise exception 'You cannot suspend your own account';
+  end if;
+  if suspend and coalesce(trim(reason), '') = '' then
+    raise exception 'A suspension needs a reason';
+  end if;
+
+  update public.users
+  set suspended_at = case when suspend then now() end,
+      suspension_reason = case when suspend then trim(reason) end
+  where id = target_user_id;
+  if not found then
+    raise exception 'User not found';
+  end if;
+
+  update auth.users
+  set banned_until = case when suspend then 'infinity'::timestamptz end
+  where id = target_user_id;
+  if suspend then
+    delete from auth.sessions where user_id = target_user_id;
+  end if;
+end;
+$$;
+
+revoke execute on function public.set_user_admin(uuid, boolean) from public, anon;
+grant execute on function public.set_user_admin(uuid, boolean) to authenticated;
+revoke execute on function public.set_user_suspended(uuid, boolean, text) from public, anon;
+grant execute on function public.set_user_suspended(uuid, boolean, text) to authenticated;
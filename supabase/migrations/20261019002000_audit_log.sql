@@ -0,0 +1,202 @@
+-- Append-only record of admin and destructive actions: who did what to
+-- which row, and when, with the row as it was before. Entries are written
+-- by triggers, so they cover every path (the app, RPCs, cascades); nothing
+-- can change or remove them afterwards.
+--
+-- `actor_id` is null for changes made without a signed-in user (scheduled
+-- jobs, the dashboard). It has no foreign key on purpose: entries outlive
+-- the accounts they mention. Names are not stored, since users can change
+-- them; `audit_log_entries` looks up the actor's current username.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  actor_id uuid,
+  action text not null,
+  target_table text not null,
+  target_id text not null,
+  -- The row before the change (for deletes, the removed row)
+  snapshot jsonb,
+  -- Changed columns and their new values, for updates
+  changes jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_actor_idx on public.audit_log (actor_id, created_at desc);
+create index if not exists audit_log_action_idx on public.audit_log (action, created_at desc);
+
+create or replace function public.prevent_audit_log_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'The audit log is append-only'
+    using errcode = 'insufficient_privilege';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+  before update or delete on public.audit_log
+  for each row execute function public.prevent_audit_log_change();
+
+drop trigger if exists audit_log_no_truncate on public.audit_log;
+create trigger audit_log_no_truncate
+  before truncate on public.audit_log
+  for each statement execute function public.prevent_audit_log_change();
+
+alter table public.audit_log enable row level security;
+
+drop policy if exists "Admins read the audit log" on public.audit_log;
+create policy "Admins read the audit log"
+  on public.audit_log for select
+  to authenticated
+  using (public.is_admin());
+
+revoke insert, update, delete, truncate on public.audit_log from anon, authenticated;
+
+-- Runs with the reader's rights, so the audit log and users policies (both
+-- admin-only here) still apply
+create or replace view public.audit_log_entries
+with (security_invoker = true) as
+  select l.*, u.username as actor_name
+  from public.audit_log l
+  left join public.users u on u.id = l.actor_id;
+
+revoke all on public.audit_log_entries from anon, authenticated;
+grant select on public.audit_log_entries to authenticated;
+
+-- Columns whose value differs between two versions of a row
+create or replace function public.audit_changes(old_row jsonb, new_row jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select coalesce(jsonb_object_agg(n.key, n.value), '{}'::jsonb)
+  from jsonb_each(new_row) n
+  where n.value is distinct from old_row -> n.key;
+$$;
+
+create or replace function public.write_audit_entry(
+  entry_action text,
+  entry_table text,
+  entry_target_id text,
+  entry_snapshot jsonb,
+  entry_changes jsonb default null
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into public.audit_log (actor_id, action, target_table, target_id, snapshot, changes)
+  values (
+    auth.uid(),
+    entry_action,
+    entry_table,
+    entry_target_id,
+    entry_snapshot,
+    entry_changes
+  );
+$$;
+
+revoke execute on function public.write_audit_entry(text, text, text, jsonb, jsonb) from public, anon, authenticated;
+
+-- Cars: deletes, hiding and restoring, and edits by an admin to someone
+-- else's listing. Sellers editing their own listings are not logged.
+create or replace function public.audit_cars()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_row jsonb := to_jsonb(old) - 'search_vector';
+begin
+  if tg_op = 'DELETE' then
+    perform public.write_audit_entry('car.delete', 'cars', old.id::text, old_row);
+    return old;
+  end if;
+
+  if new.hidden_at is distinct from old.hidden_at then
+    perform public.write_audit_entry(
+      case when new.hidden_at is null then 'car.restore' else 'car.hide' end,
+      'cars', old.id::text, old_row,
+      jsonb_build_object('hidden_at', new.hidden_at)
+    );
+  elsif auth.uid() is not null and auth.uid() <> old.user_id and public.is_admin() then
+    perform public.write_audit_entry(
+      'car.update', 'cars', old.id::text, old_row,
+      public.audit_changes(old_row, to_jsonb(new) - 'search_vector')
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists cars_audit on public.cars;
+create trigger cars_audit
+  after update or delete on public.cars
+  for each row execute function public.audit_cars();
+
+-- Users: deletes (through delete_user), role changes and suspensions
+create or replace function public.audit_users()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'DELETE' then
+    perform public.write_audit_entry('user.delete', 'users', old.id::text, to_jsonb(old));
+    return old;
+  end if;
+
+  if new.is_admin is distinct from old.is_admin then
+    perform public.write_audit_entry(
+      case when new.is_admin then 'user.promote' else 'user.demote' end,
+      'users', old.id::text, to_jsonb(old),
+      jsonb_build_object('is_admin', new.is_admin)
+    );
+  end if;
+  if new.suspended_at is distinct from old.suspended_at then
+    perform public.write_audit_entry(
+      case when new.suspended_at is null then 'user.unsuspend' else 'user.suspend' end,
+      'users', old.id::text, to_jsonb(old),
+      jsonb_build_object('suspended_at', new.suspended_at, 'suspension_reason', new.suspension_reason)
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists users_audit on public.users;
+create trigger users_audit
+  after update or delete on public.users
+  for each row execute function public.audit_users();
+
+-- Reports: every way a report gets closed (the action says whether the
+-- seller was warned or the listing hidden)
+create or replace function public.audit_listing_reports()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status is distinct from old.status then
+    perform public.write_audit_entry(
+      case when new.status = 'dismissed' then 'report.dismiss' else 'report.resolve' end,
+      'listing_reports', old.id::text, to_jsonb(old),
+      public.audit_changes(to_jsonb(old), to_jsonb(new))
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listing_reports_audit on public.listing_reports;
+create trigger listing_reports_audit
+  after update on public.listing_reports
+  for each row execute function public.audit_listing_reports();
+
@@ -0,0 +1,73 @@
+import fixtures from './vehicle-fixtures.json';
+
+// Ordinary plates are two letters and four or five digits (AB 12345);
+// personalised plates are 2-7 letters and digits with at least one letter
+// (BILAGER).
+const STANDARD_PLATE = /^[A-Z]{2}\d{4,5}$/;
+const PERSONAL_PLATE = /^(?=.*[A-ZÆØÅ])[A-ZÆØÅ0-9]{2,7}$/;
+
+export function normalizeRegnr(input) {
+  return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+export function isValidRegnr(input) {
+  const regnr = normalizeRegnr(input);
+  return STANDARD_PLATE.test(regnr) || PERSONAL_PLATE.test(regnr);
+}
+
+// "AB12345" -> "AB 12345"; personalised plates are left as they are
+export function formatRegnr(input) {
+  const regnr = normalizeRegnr(input);
+  return STANDARD_PLATE.test(regnr) ? `${regnr.slice(0, 2)} ${regnr.slice(2)}` : regnr;
+}
+
+/**
+ * A vehicle-data provider is any object with
+ *
+ *   lookup(regnr: string) => Promise<VehicleData | null>
+ *
+ * where `regnr` is already normalised ("AB12345") and VehicleData is
+ *
+ *   { regnr, brand, model, year, firstRegistration, fuelType, powerKw,
+ *     gearbox, drivetrain, bodyType, color, seats, nextEuControl, vin }
+ *
+ * `firstRegistration` and `nextEuControl` are ISO dates (YYYY-MM-DD),
+ * fuelType/gearbox/drivetrain/bodyType/color values from vehicle-specs.js
+ * and `powerKw` and `seats` numbers. Missing values are left out.
+ * Return null when the registry has no vehicle with that plate and throw
+ * for anything else (network, auth, rate limiting).
+ *
+ * The bundled fixture provider answers from vehicle-fixtures.json so the
+ * form can be developed offline. A registry adapter (e.g. Statens vegvesen's
+ * kjøretøyopplysninger API) only has to map its response to VehicleData and
+ * be installed with setVehicleDataProvider().
+ */
+export function createFixtureProvider(vehicles = fixtures) {
+  const byRegnr = new Map(vehicles.map((vehicle) => [normalizeRegnr(vehicle.regnr), vehicle]));
+
+  return {
+    async lookup(regnr) {
+      const vehicle = byRegnr.get(regnr);
+      if (!vehicle) return null;
+      return {
+        ...vehicle,
+        regnr,
+        year: vehicle.year ?? Number(vehicle.firstRegistration?.slice(0, 4)),
+      };
+    },
+  };
+}
+
+let provider = createFixtureProvider();
+
+export function setVehicleDataProvider(newProvider) {
+  provider = newProvider;
+}
+
+export async function lookupVehicle(input) {
+  const regnr = normalizeRegnr(input);
+  if (!isValidRegnr(regnr)) {
+    throw new Error('Invalid registration number');
+  }
+  return provider.lookup(regnr);
+}
@@ -0,0 +1,64 @@
+// Option lists for the specification fields. Values are what the database
+// stores (see the check constraints in the car_registration_fields and
+// car_spec_fields migrations).
+
+export const FUEL_TYPES = [
+  { value: 'petrol', label: 'Petrol' },
+  { value: 'diesel', label: 'Diesel' },
+  { value: 'electric', label: 'Electric' },
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'plugin_hybrid', label: 'Plug-in hybrid' },
+  { value: 'hydrogen', label: 'Hydrogen' },
+  { value: 'other', label: 'Other' },
+];
+
+export const GEARBOXES = [
+  { value: 'manual', label: 'Manual' },
+  { value: 'automatic', label: 'Automatic' },
+];
+
+export const DRIVETRAINS = [
+  { value: 'fwd', label: 'Front-wheel drive' },
+  { value: 'rwd', label: 'Rear-wheel drive' },
+  { value: 'awd', label: 'All-wheel drive' },
+];
+
+export const BODY_TYPES = [
+  { value: 'sedan', label: 'Sedan' },
+  { value: 'station_wagon', label: 'Station wagon' },
+  { value: 'hatchback', label: 'Hatchback' },
+  { value: 'suv', label: 'SUV' },
+  { value: 'coupe', label: 'Coupé' },
+  { value: 'convertible', label: 'Convertible' },
+  { value: 'mpv', label: 'MPV' },
+  { value: 'van', label: 'Van' },
+  { value: 'pickup', label: 'Pickup' },
+];
+
+export const COLORS = [
+  { value: 'black', label: 'Black' },
+  { value: 'white', label: 'White' },
+  { value: 'grey', label: 'Grey' },
+  { value: 'silver', label: 'Silver' },
+  { value: 'blue', label: 'Blue' },
+  { value: 'red', label: 'Red' },
+  { value: 'green', label: 'Green' },
+  { value: 'brown', label: 'Brown' },
+  { value: 'beige', label: 'Beige' },
+  { value: 'yellow', label: 'Yellow' },
+  { value: 'orange', label: 'Orange' },
+  { value: 'other', label: 'Other' },
+];
+
+export function optionLabel(options, value) {
+  return options.find((option) => option.value === value)?.label || value;
+}
+
+// VINs are 17 characters and never contain I, O or Q
+export function normalizeVin(input) {
+  return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+export function isValidVin(input) {
+  return /^[A-HJ-NPR-Z0-9]{17}$/.test(normalizeVin(input));
+}